@@ -1,10 +1,29 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useMemo, useRef } from 'react';
 import {
     Plus, Search, Command, X,
     LayoutGrid, Settings, FileText,
     ChevronRight, Save, MoreVertical,
-    Sidebar, PanelRight, Cloud, Zap
+    Sidebar, PanelRight, Cloud, Zap, Coins, Hash, CircleAlert, Check, CloudOff, Wand, MessagesSquare, History
 } from 'lucide-react';
+import { isHeaderLine, traceLine } from './engine';
+import { useCurrencyRates } from './hooks/useCurrencyRates';
+import { useDocumentResults } from './hooks/useDocumentResults';
+import { useAiReview } from './hooks/useAiReview';
+import { useDocumentChat } from './hooks/useDocumentChat';
+import { useDocumentHistory } from './hooks/useDocumentHistory';
+import { useResultActions } from './hooks/useResultActions';
+import { useDocumentSettings } from './hooks/useDocumentSettings';
+import { useLlmSettings } from './hooks/useLlmSettings';
+import { useServerConnection } from './hooks/useServerConnection';
+import { useLineAnalysis } from './hooks/useLineAnalysis';
+import RatesEditor from './components/RatesEditor';
+import DisplaySettings from './components/DisplaySettings';
+import LlmSettings from './components/LlmSettings';
+import ChatPanel from './components/ChatPanel';
+import HistoryPanel from './components/HistoryPanel';
+import CalcEditor from './components/CalcEditor';
+import TraceMarker from './components/TraceMarker';
+import { CONNECTION_STATES, shownState } from './services/connection';
 
 // --- THEME ---
 const BG_STYLE = "bg-zinc-950 text-zinc-400 font-mono";
@@ -12,9 +31,6 @@ const BORDER_COLOR = "border-zinc-800";
 const ACTIVE_TAB_COLOR = "bg-zinc-900 text-zinc-100 border-t-2 border-t-blue-500";
 const INACTIVE_TAB_COLOR = "bg-zinc-950 hover:bg-zinc-900 text-zinc-500";
 
-// --- LOCAL LLM CONFIG ---
-const LOCAL_API_URL = "http://localhost:8080/v1/chat/completions";
-
 // --- MOCK FILES ---
 const MOCK_FILES = [
     {
@@ -52,27 +68,39 @@ Cash on Hand = $600,000
 Runway = Cash on Hand / Monthly Burn` },
 ];
 
-// --- SAFE MATH FUNCTIONS ---
-const SAFE_FUNCS = {
-    sqrt: Math.sqrt, abs: Math.abs, min: Math.min, max: Math.max,
-    round: (x, d = 0) => { const p = Math.pow(10, d); return Math.round(x * p) / p; },
-    floor: Math.floor, ceil: Math.ceil, pow: Math.pow,
-};
-
 const NeoCalcUI = () => {
     const [view, setView] = useState('editor');
     const [tabs, setTabs] = useState([
         { id: 1, title: 'Q4_Marketing_Budget.calc', active: true }
     ]);
     const [showSidebar, setShowSidebar] = useState(true);
-    const [text, setText] = useState(MOCK_FILES[0].content);
-    const [computedResults, setComputedResults] = useState({});
-    const [aiLogic, setAiLogic] = useState({});
-    const [loading, setLoading] = useState(false);
-    const [serverStatus, setServerStatus] = useState('unknown');
+    const [showChat, setShowChat] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showRates, setShowRates] = useState(false);
+    const { rates, setRate, removeRate, resetRates } = useCurrencyRates();
+    const [showDisplay, setShowDisplay] = useState(false);
+    const [showLlm, setShowLlm] = useState(false);
+    const { settings: llm, updateSettings: updateLlm, resetSettings: resetLlm } = useLlmSettings();
+    const connection = useServerConnection(llm);
+    const activeTab = tabs.find(t => t.active);
+    const { settings: display, updateSettings: updateDisplay } = useDocumentSettings(activeTab?.id ?? 'scratch');
+    // Every file keeps its text and history while it is closed or in the background
+    const history = useDocumentHistory(activeTab?.id ?? 'scratch', (id) => MOCK_FILES.find(f => f.id === id)?.content ?? '');
+    const { text, setText } = history;
 
     const textareaRef = useRef(null);
+    const gutterRef = useRef(null);
+    const outputRef = useRef(null);
     const ROW_HEIGHT = 32;
+    // Height of every editor line; a soft-wrapped line takes several rows
+    const [lineHeights, setLineHeights] = useState([]);
+    const rowHeight = (idx) => lineHeights[idx] || ROW_HEIGHT;
+
+    // Line numbers and results scroll with the editor
+    const handleScroll = (e) => {
+        if (gutterRef.current) gutterRef.current.scrollTop = e.target.scrollTop;
+        if (outputRef.current) outputRef.current.scrollTop = e.target.scrollTop;
+    };
 
     // --- FILE HANDLING ---
     const openFile = (file) => {
@@ -81,7 +109,6 @@ const NeoCalcUI = () => {
         } else {
             setTabs(tabs.map(t => ({ ...t, active: t.id === file.id })));
         }
-        setText(file.content);
         setView('editor');
     };
 
@@ -90,347 +117,27 @@ const NeoCalcUI = () => {
         const newTabs = tabs.filter(t => t.id !== id);
         if (newTabs.length === 0) {
             setView('home');
-            setText('');
         } else {
             newTabs[newTabs.length - 1].active = true;
-            const activeFile = MOCK_FILES.find(f => f.id === newTabs[newTabs.length - 1].id);
-            if (activeFile) setText(activeFile.content);
         }
         setTabs(newTabs);
     };
 
-    // --- LOCAL EVALUATION ENGINE ---
-    const evaluateDocument = (inputText) => {
-        const lines = inputText.split('\n');
-        const results = {};
-        const variables = {};
-        const taggedValues = {};
-
-        const preprocessExpression = (expr) => {
-            let s = expr.trim();
-            s = s.replace(/×/g, '*').replace(/÷/g, '/').replace(/−/g, '-');
-            s = s.replace(/\$\s*([0-9]{1,3}(?:,[0-9]{3})*(?:\.[0-9]+)?|[0-9]+(?:\.[0-9]+)?)/g, (_, num) => String(num).replace(/,/g, ''));
-            s = s.replace(/([0-9]+(?:\.[0-9]+)?)\s*%/g, '($1/100)');
-            s = s.replace(/\^/g, '**');
-            return s;
-        };
-
-        const extractTag = (line) => {
-            const m = line.match(/#([A-Za-z][\w-]*)/);
-            return m ? m[1].toLowerCase() : null;
-        };
-
-        const safeEval = (expr, localVars) => {
-            try {
-                const fn = new Function(...Object.keys(localVars), ...Object.keys(SAFE_FUNCS), `return (${expr})`);
-                return fn(...Object.values(localVars), ...Object.values(SAFE_FUNCS));
-            } catch { return null; }
-        };
-
-        lines.forEach((rawLine, idx) => {
-            const line = rawLine.trim();
-            if (!line || line.startsWith('#') || line.startsWith('//')) return;
-
-            const tag = extractTag(rawLine);
-            const cleanLine = rawLine.replace(/#([A-Za-z][\w-]*)/g, '').trim();
-
-            // Variable assignment: Name = Expression
-            const eqIdx = cleanLine.indexOf('=');
-            if (eqIdx > 0) {
-                const varName = cleanLine.slice(0, eqIdx).trim();
-                const rightSide = preprocessExpression(cleanLine.slice(eqIdx + 1));
-                const val = safeEval(rightSide, variables);
-                if (val !== null && Number.isFinite(val)) {
-                    variables[varName] = val;
-                    results[idx] = { value: val, type: 'variable', format: 'number', expression: rightSide };
-                    if (tag) taggedValues[tag] = (taggedValues[tag] || 0) + val;
-                }
-                return;
-            }
-
-            // Labeled value: Label: Value
-            const colonIdx = cleanLine.indexOf(':');
-            if (colonIdx > 0 && !cleanLine.match(/^(sum|tag)\s*:/i)) {
-                const label = cleanLine.slice(0, colonIdx).trim();
-                const rightSide = preprocessExpression(cleanLine.slice(colonIdx + 1));
-                const val = safeEval(rightSide, variables);
-                if (val !== null && Number.isFinite(val)) {
-                    variables[label] = val;
-                    results[idx] = { value: val, type: 'variable', format: 'number', expression: rightSide };
-                    if (tag) taggedValues[tag] = (taggedValues[tag] || 0) + val;
-                }
-                return;
-            }
-
-            // Sum by tag: sum: tagname
-            const sumMatch = cleanLine.match(/^sum\s*:\s*(\w+)/i);
-            if (sumMatch) {
-                const tagName = sumMatch[1].toLowerCase();
-                const val = taggedValues[tagName] || 0;
-                results[idx] = { value: val, type: 'total', format: 'currency', expression: `sum(${tagName})` };
-                return;
-            }
-
-            // Standalone expression
-            const expr = preprocessExpression(cleanLine);
-            const val = safeEval(expr, variables);
-            if (val !== null && Number.isFinite(val)) {
-                results[idx] = { value: val, type: 'calc', format: 'number', expression: expr };
-            }
-        });
-
-        return results;
-    };
-
     // --- LLM CALL ---
-    const callLocalLLM = async (inputText) => {
-        if (!inputText.trim()) {
-            setAiLogic({});
-            setServerStatus('unknown');
-            return;
-        }
-        setLoading(true);
-        setServerStatus('connecting...');
-
-        const lineMap = {};
-        const variables = {};
-        const lines = inputText.split('\n');
-
-        lines.forEach((line, idx) => {
-            if (line.trim()) {
-                lineMap[idx] = line;
-                const eqIdx = line.indexOf('=');
-                if (eqIdx > 0) {
-                    const varName = line.slice(0, eqIdx).trim();
-                    const numMatch = line.slice(eqIdx + 1).match(/\$?\s*([\d,]+(?:\.\d+)?)/);
-                    if (numMatch) {
-                        const value = parseFloat(numMatch[1].replace(/,/g, ''));
-                        if (!isNaN(value)) variables[varName] = { line: idx, value };
-                    }
-                }
-            }
-        });
-
-        const systemPrompt = `You are a Logic Extraction Engine for a smart calculator.
-
-INPUT FORMAT:
-{
-  "lines": { "lineIndex": "text content" },
-  "variables": { "VarName": { "line": lineIndex, "value": number } }
-}
-
-OUTPUT FORMAT:
-{ "lineIndex": { "formula": string, "type": string, "format": string, "explanation": string } }
-
-RULES:
-1. **Use Variable Names**: If a variable exists, use its name in formulas (e.g., "Rent + Utilities") instead of line refs.
-2. **Line References**: Use L{n} for lines without variable names, or L{prev} for previous line.
-3. **Implicit Values**: "Tax is 5%" → formula "0.05".
-4. **Natural Language Math**: 
-   - "Split evenly" or "per person" → divide by number of people (default 2 if not specified)
-   - "What's left" or "remaining" → subtract from total
-   - "Double" → multiply by 2
-   - "Half" → divide by 2
-5. **Types**: "variable", "formula", "total", "header", "note"
-6. **Explanations**: Concise labels describing what the line calculates.
-
-IMPORTANT: 
-- Natural language like "Split evenly per person" MUST produce a formula (e.g., "L{prev} / 2"), NOT a note.
-- Only mark as "note" if line is pure comment with no calculation intent.
-- The "formula" field MUST contain the actual calculation expression, NOT just the variable name.
-- For example: "Fees = (Social Ads + Influencer Spend) * Platform Fee Rate" should have formula: "(Social Ads + Influencer Spend) * Platform Fee Rate"
-- Return ONLY valid JSON. Use variable names when available.`;
-
-        try {
-            const response = await fetch(LOCAL_API_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: "gpt-3.5-turbo",
-                    messages: [
-                        { role: "system", content: systemPrompt },
-                        { role: "user", content: JSON.stringify({ lines: lineMap, variables }) }
-                    ],
-                    temperature: 0.1,
-                }),
-            });
-
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-            const data = await response.json();
-            console.log('LLM Raw Response:', data);
-            const textResult = data.choices?.[0]?.message?.content;
-            console.log('LLM Text Result:', textResult);
-            if (textResult) {
-                setServerStatus('connected');
-                try {
-                    const parsed = JSON.parse(textResult);
-                    console.log('Parsed AI Logic:', parsed);
-                    setAiLogic(parsed);
-                } catch (e) {
-                    console.error('JSON parse error:', e);
-                }
-            }
-        } catch (err) {
-            console.error('LLM Error:', err);
-            setServerStatus('error');
-        } finally {
-            setLoading(false);
-        }
-    };
+    const { aiLogic, loading } = useLineAnalysis(text, llm, rates, connection);
+    const serverState = shownState(connection.status, loading);
 
     // --- ORCHESTRATOR: Merge local + AI results ---
-    useEffect(() => {
-        const localResults = evaluateDocument(text);
-        const lines = text.split('\n');
-        const finalResults = {};
-        const currentValues = {};
-
-        // First pass: collect local values
-        Object.keys(localResults).forEach(k => {
-            currentValues[k] = localResults[k].value;
-        });
-
-        // Build variable lookup from local results
-        const variableValues = {};
-        lines.forEach((line, idx) => {
-            if (localResults[idx]) {
-                const eqIdx = line.indexOf('=');
-                if (eqIdx > 0) {
-                    const varName = line.slice(0, eqIdx).trim();
-                    variableValues[varName] = localResults[idx].value;
-                }
-                const colonIdx = line.indexOf(':');
-                if (colonIdx > 0 && !line.match(/^(sum|tag)\s*:/i)) {
-                    const label = line.slice(0, colonIdx).trim();
-                    variableValues[label] = localResults[idx].value;
-                }
-            }
-        });
-
-        lines.forEach((_, idx) => {
-            // Case A: Local result takes priority
-            if (localResults[idx]) {
-                finalResults[idx] = {
-                    ...localResults[idx],
-                    source: 'local'
-                };
-                return;
-            }
-
-            // Case B: Try AI logic (same as App.jsx)
-            const aiItem = aiLogic[idx];
-            if (aiItem && aiItem.formula) {
-                try {
-                    let parsable = aiItem.formula;
-
-                    // If formula contains "=", take only the right side (the expression)
-                    if (parsable.includes('=')) {
-                        const eqIdx = parsable.indexOf('=');
-                        parsable = parsable.slice(eqIdx + 1).trim();
-                    }
-
-                    // Handle header/note types - show explanation only, no calculation
-                    if (['header', 'note', 'variable'].includes(parsable.toLowerCase()) || aiItem.type === 'header' || aiItem.type === 'note') {
-                        if (aiItem.explanation) {
-                            finalResults[idx] = {
-                                value: null,
-                                formatted: '',
-                                type: aiItem.type,
-                                explanation: aiItem.explanation,
-                                formula: '',
-                                source: 'ai'
-                            };
-                        }
-                        return;
-                    }
-
-                    // Replace variable names with their values (sort by length to avoid partial matches)
-                    const sortedVarNames = Object.keys(variableValues).sort((a, b) => b.length - a.length);
-                    for (const varName of sortedVarNames) {
-                        const escaped = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                        const regex = new RegExp(escaped, 'gi');
-                        parsable = parsable.replace(regex, variableValues[varName]);
-                    }
-
-                    // Handle L{prev} - replace with previous line's value
-                    parsable = parsable.replace(/L\{prev\}/gi, () => {
-                        for (let i = idx - 1; i >= 0; i--) {
-                            if (finalResults[i]?.value !== undefined) return finalResults[i].value;
-                            if (currentValues[i] !== undefined) return currentValues[i];
-                        }
-                        return 0;
-                    });
-
-                    // Handle L{digit} with curly braces (e.g., L{2}, L{10})
-                    parsable = parsable.replace(/L\{(\d+)\}/g, (_, lineNum) => {
-                        const v = finalResults[lineNum]?.value ?? currentValues[lineNum] ?? 0;
-                        return v;
-                    });
-
-                    // Handle L followed by number without braces (e.g., L5)
-                    parsable = parsable.replace(/L(\d+)/g, (_, lineNum) => {
-                        const v = finalResults[lineNum]?.value ?? currentValues[lineNum] ?? 0;
-                        return v;
-                    });
-
-                    // Handle sum(tag)
-                    parsable = parsable.replace(/sum\((\w+)\)/gi, (_, tag) => 0);
-
-                    // Handle math functions
-                    parsable = parsable.replace(/sqrt\(([^)]+)\)/gi, (_, arg) => `Math.sqrt(${arg})`);
-                    parsable = parsable.replace(/round\(([^,]+),\s*(\d+)\)/gi, (_, num, dec) => `(Math.round(${num} * Math.pow(10, ${dec})) / Math.pow(10, ${dec}))`);
-                    parsable = parsable.replace(/max\(([^)]+)\)/gi, (_, args) => `Math.max(${args})`);
-                    parsable = parsable.replace(/min\(([^)]+)\)/gi, (_, args) => `Math.min(${args})`);
-
-                    // Skip if formula is empty
-                    if (!parsable || parsable === '' || parsable === '0') {
-                        return;
-                    }
-
-                    const val = new Function(`return (${parsable})`)();
-
-                    if (Number.isFinite(val)) {
-                        finalResults[idx] = {
-                            value: val,
-                            type: aiItem.type || 'calc',
-                            format: aiItem.format || 'number',
-                            expression: aiItem.formula,
-                            explanation: aiItem.explanation,
-                            source: 'ai'
-                        };
-                        currentValues[idx] = val;
-
-                        // Add computed result to variableValues for later formulas
-                        const originalFormula = aiItem.formula;
-                        if (originalFormula.includes('=')) {
-                            const computedVarName = originalFormula.slice(0, originalFormula.indexOf('=')).trim();
-                            if (computedVarName) {
-                                variableValues[computedVarName] = val;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.log('Parse error for line', idx, ':', e.message);
-                }
-            }
-        });
-
-        setComputedResults(finalResults);
-    }, [text, aiLogic]);
-
-    useEffect(() => {
-        const timer = setTimeout(() => callLocalLLM(text), 800);
-        return () => clearTimeout(timer);
-    }, [text]);
-
-    // --- FORMAT VALUE ---
-    const formatValue = (val, format) => {
-        if (!Number.isFinite(val)) return '';
-        if (format === 'currency') return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(val);
-        if (format === 'percent') return (val * 100).toFixed(1) + '%';
-        return val.toLocaleString(undefined, { maximumFractionDigits: 2 });
-    };
+    // Local results win; AI logic fills the remaining lines
+    const computedResults = useDocumentResults(text, aiLogic, rates, display);
+    // Accept rewrites an AI line as a local formula; reject pins it as a note
+    const review = useAiReview(text, setText, computedResults, rates);
+    // Questions about the document; proposed lines are appended to it
+    const documentChat = useDocumentChat(text, setText, llm, { logic: aiLogic, rates });
+    const resultActions = useResultActions(text, setText, computedResults, textareaRef);
+    // The line being traced: under the mouse, or else the caret's
+    const [activeLine, setActiveLine] = useState(null);
+    const trace = useMemo(() => traceLine(computedResults, activeLine), [computedResults, activeLine]);
 
     const lines = text.split('\n');
 
@@ -490,6 +197,56 @@ IMPORTANT:
                                 </div>
                             ))}
                         </div>
+
+                        <div className={`border-t ${BORDER_COLOR}`}>
+                            <div
+                                onClick={() => setShowRates(!showRates)}
+                                className="p-3 text-xs font-bold uppercase tracking-wider text-zinc-500 flex items-center gap-2 cursor-pointer hover:text-zinc-300"
+                            >
+                                <ChevronRight className={`w-3 h-3 transition-transform ${showRates ? 'rotate-90' : ''}`} />
+                                <Coins className="w-3 h-3" />
+                                <span>Exchange Rates</span>
+                            </div>
+                            {showRates && (
+                                <div className="px-3 pb-3 max-h-64 overflow-y-auto">
+                                    <RatesEditor rates={rates} onChange={setRate} onRemove={removeRate} onReset={resetRates} dark />
+                                </div>
+                            )}
+                        </div>
+
+                        {activeTab && (
+                            <div className={`border-t ${BORDER_COLOR}`}>
+                                <div
+                                    onClick={() => setShowDisplay(!showDisplay)}
+                                    className="p-3 text-xs font-bold uppercase tracking-wider text-zinc-500 flex items-center gap-2 cursor-pointer hover:text-zinc-300"
+                                >
+                                    <ChevronRight className={`w-3 h-3 transition-transform ${showDisplay ? 'rotate-90' : ''}`} />
+                                    <Hash className="w-3 h-3" />
+                                    <span>Precision</span>
+                                </div>
+                                {showDisplay && (
+                                    <div className="px-3 pb-3">
+                                        <DisplaySettings settings={display} onChange={updateDisplay} dark />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div className={`border-t ${BORDER_COLOR}`}>
+                            <div
+                                onClick={() => setShowLlm(!showLlm)}
+                                className="p-3 text-xs font-bold uppercase tracking-wider text-zinc-500 flex items-center gap-2 cursor-pointer hover:text-zinc-300"
+                            >
+                                <ChevronRight className={`w-3 h-3 transition-transform ${showLlm ? 'rotate-90' : ''}`} />
+                                <Settings className="w-3 h-3" />
+                                <span>AI Server</span>
+                            </div>
+                            {showLlm && (
+                                <div className="px-3 pb-3 max-h-80 overflow-y-auto">
+                                    <LlmSettings settings={llm} onChange={updateLlm} onReset={resetLlm} dark />
+                                </div>
+                            )}
+                        </div>
                     </aside>
                 )}
 
@@ -501,11 +258,7 @@ IMPORTANT:
                         {tabs.map(tab => (
                             <div
                                 key={tab.id}
-                                onClick={() => {
-                                    setTabs(tabs.map(t => ({ ...t, active: t.id === tab.id })));
-                                    const file = MOCK_FILES.find(f => f.id === tab.id);
-                                    if (file) setText(file.content);
-                                }}
+                                onClick={() => setTabs(tabs.map(t => ({ ...t, active: t.id === tab.id })))}
                                 className={`
                   flex items-center gap-2 px-4 h-9 text-xs border-r ${BORDER_COLOR} cursor-pointer select-none min-w-[140px] max-w-[200px]
                   ${tab.active ? ACTIVE_TAB_COLOR : INACTIVE_TAB_COLOR}
@@ -528,30 +281,42 @@ IMPORTANT:
 
                             {/* LEFT: INPUT */}
                             <div className="flex-1 relative group bg-zinc-950">
-                                <div className="absolute left-0 top-0 bottom-0 w-12 border-r border-zinc-800 bg-zinc-950 text-zinc-600 text-xs text-right pr-3 pt-4 select-none leading-[32px]">
-                                    {lines.map((_, i) => <div key={i}>{i + 1}</div>)}
+                                <div ref={gutterRef} className="absolute left-0 top-0 bottom-0 w-12 overflow-hidden border-r border-zinc-800 bg-zinc-950 text-zinc-600 text-xs text-right pr-3 py-4 select-none leading-[32px]">
+                                    {lines.map((_, i) => (
+                                        <div key={i} className="relative" style={{ height: rowHeight(i) }}>
+                                            {i + 1}
+                                            <TraceMarker trace={trace} line={i} className="-right-3" dark />
+                                        </div>
+                                    ))}
                                 </div>
-                                <textarea
-                                    ref={textareaRef}
+                                <CalcEditor
+                                    inputRef={textareaRef}
                                     value={text}
-                                    onChange={(e) => setText(e.target.value)}
-                                    className="w-full h-full bg-transparent border-none outline-none resize-none pl-16 pr-4 py-4 font-mono text-sm leading-[32px] text-zinc-300 caret-blue-500 placeholder-zinc-700"
-                                    spellCheck="false"
+                                    onChange={setText}
+                                    results={computedResults}
+                                    trace={trace}
+                                    onActiveLine={setActiveLine}
+                                    onUndo={history.undo}
+                                    onRedo={history.redo}
+                                    onScroll={handleScroll}
+                                    onLineHeights={setLineHeights}
+                                    dark
+                                    className="pl-16 pr-4 py-4 font-mono text-sm leading-[32px]"
                                     autoFocus
                                 />
                             </div>
 
                             {/* RIGHT: OUTPUT */}
                             <div className={`w-[400px] flex-none border-l ${BORDER_COLOR} bg-[#0c0c0e]`}>
-                                <div className="h-full flex flex-col pt-4 px-4 text-sm leading-[32px] font-mono text-right overflow-y-auto">
+                                <div ref={outputRef} className="h-full py-4 px-4 text-sm leading-[32px] font-mono text-right overflow-hidden">
                                     {lines.map((line, idx) => {
                                         const data = computedResults[idx];
                                         const trimmed = line.trim();
 
                                         // Comment/Header line
-                                        if (trimmed.startsWith('#') || trimmed.startsWith('//')) {
+                                        if (isHeaderLine(line) || trimmed.startsWith('//')) {
                                             return (
-                                                <div key={idx} className="h-[32px] text-zinc-600 italic opacity-50 select-none truncate">
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="text-zinc-600 italic opacity-50 select-none truncate">
                                                     {trimmed}
                                                 </div>
                                             );
@@ -559,22 +324,32 @@ IMPORTANT:
 
                                         // Empty line
                                         if (!trimmed) {
-                                            return <div key={idx} className="h-[32px]"></div>;
+                                            return <div key={idx} style={{ height: rowHeight(idx) }}></div>;
                                         }
 
                                         // Loading state
                                         if (loading && !data) {
                                             return (
-                                                <div key={idx} className="h-[32px] flex items-center justify-end">
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="flex items-center justify-end">
                                                     <div className="w-16 h-3 bg-zinc-800 rounded animate-pulse"></div>
                                                 </div>
                                             );
                                         }
 
+                                        // Waiting for the AI while the server is down; the local engine still runs
+                                        if (!data && !connection.available) {
+                                            return (
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="flex items-center justify-end gap-2 text-zinc-600 text-xs" title={`AI server: ${CONNECTION_STATES[serverState]}. This line is analyzed once it is back.`}>
+                                                    <CloudOff className="w-3 h-3" />
+                                                    <span>waiting for AI</span>
+                                                </div>
+                                            );
+                                        }
+
                                         // No result yet - show waiting for AI
                                         if (!data) {
                                             return (
-                                                <div key={idx} className="h-[32px] flex items-center justify-end text-zinc-700 text-xs">
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="flex items-center justify-end text-zinc-700 text-xs">
                                                     {loading ? <div className="w-16 h-3 bg-zinc-800 rounded animate-pulse"></div> : '—'}
                                                 </div>
                                             );
@@ -583,39 +358,75 @@ IMPORTANT:
                                         // AI header/note with no value
                                         if (data.type === 'header' || data.type === 'note') {
                                             return (
-                                                <div key={idx} className="h-[32px] flex items-center justify-end text-zinc-500 text-xs italic truncate">
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="flex items-center justify-end text-zinc-500 text-xs italic truncate">
                                                     {data.explanation || '—'}
                                                 </div>
                                             );
                                         }
 
+                                        // Diagnostics: unknown names, division by zero, circular references, ...
+                                        if (data.type === 'error') {
+                                            return (
+                                                <div key={idx} style={{ height: rowHeight(idx) }} className="flex items-center justify-end gap-2 text-red-400 text-xs group" title={data.explanation}>
+                                                    <CircleAlert className="w-3 h-3 shrink-0" />
+                                                    <span className="truncate">{data.explanation}</span>
+                                                    {data.source === 'ai' && (
+                                                        <button onClick={() => review.reject(idx)} title="Reject: keep the line as a note" className="p-0.5 rounded hover:bg-red-500/20 opacity-0 group-hover:opacity-100">
+                                                            <X className="w-3 h-3" />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            );
+                                        }
+
                                         // Calculated result
-                                        const isTotal = data.type === 'total' || trimmed.toLowerCase().includes('total');
+                                        const isTotal = data.type === 'total';
                                         const isVar = data.type === 'variable';
                                         const isAI = data.source === 'ai';
 
                                         return (
                                             <div
                                                 key={idx}
-                                                className={`h-[32px] flex items-center justify-end gap-2 group ${isTotal ? 'border-t border-blue-500/30 bg-blue-500/5 -mx-4 px-4' : ''}`}
+                                                style={{ height: rowHeight(idx) }}
+                                                className={`flex items-center justify-end gap-2 group ${isTotal ? 'border-t border-blue-500/30 bg-blue-500/5 -mx-4 px-4' : ''}`}
                                             >
                                                 {/* Source indicator */}
                                                 <span className="text-[10px] opacity-40 mr-1">
-                                                    {isAI ? <Cloud className="w-3 h-3 inline text-blue-400" /> : <Zap className="w-3 h-3 inline text-yellow-500" />}
+                                                    {isAI && <Cloud className="w-3 h-3 inline text-blue-400" />}
+                                                    {data.source === 'rules' && <Wand className="w-3 h-3 inline text-emerald-500" />}
+                                                    {data.source === 'local' && <Zap className="w-3 h-3 inline text-yellow-500" />}
                                                 </span>
 
                                                 {/* Explanation or expression */}
-                                                {(data.explanation || data.expression) && data.expression !== String(data.value) && (
+                                                {(data.explanation || data.formula) && data.formula !== String(data.value) && (
                                                     <span className="text-zinc-600 text-xs truncate max-w-[180px]">
-                                                        {data.explanation || data.expression?.replace(/\*/g, '×').replace(/\//g, '÷')} =
+                                                        {data.explanation || data.formula?.replace(/\*/g, '×').replace(/\//g, '÷')} =
                                                     </span>
                                                 )}
 
                                                 {isVar && <span className="text-purple-400 text-xs">var</span>}
 
-                                                <span className={`font-bold ${isTotal ? 'text-blue-500 text-lg' : isVar ? 'text-zinc-100' : 'text-blue-400'}`}>
-                                                    {formatValue(data.value, data.format || 'currency')}
+                                                {resultActions.copied === idx && <Check className="w-3 h-3 text-green-500" />}
+                                                <span {...resultActions.resultProps(idx)} className={`font-bold cursor-pointer select-none hover:underline ${isTotal ? 'text-blue-500 text-lg' : isVar ? 'text-zinc-100' : 'text-blue-400'}`}>
+                                                    {data.formatted}
                                                 </span>
+
+                                                {/* Review: accept the AI's formula or reject it */}
+                                                {isAI && (
+                                                    <span className="flex items-center gap-1 opacity-0 group-hover:opacity-100">
+                                                        <button
+                                                            onClick={() => review.accept(idx)}
+                                                            disabled={!review.proposals[idx]}
+                                                            title={review.proposals[idx] ? `Accept: ${review.proposals[idx].line.trim()}` : 'Cannot be written as a local formula'}
+                                                            className="p-0.5 rounded text-green-500 hover:bg-green-500/20 disabled:opacity-30 disabled:cursor-not-allowed"
+                                                        >
+                                                            <Check className="w-3 h-3" />
+                                                        </button>
+                                                        <button onClick={() => review.reject(idx)} title="Reject: keep the line as a note" className="p-0.5 rounded text-red-400 hover:bg-red-500/20">
+                                                            <X className="w-3 h-3" />
+                                                        </button>
+                                                    </span>
+                                                )}
                                             </div>
                                         );
                                     })}
@@ -644,21 +455,54 @@ IMPORTANT:
                             <span>{showSidebar ? 'Hide' : 'Show'} Sidebar</span>
                         </div>
 
+                        <div
+                            className={`flex items-center gap-2 hover:text-zinc-300 cursor-pointer ${showChat ? 'text-zinc-300' : ''}`}
+                            onClick={() => setShowChat(!showChat)}
+                        >
+                            <MessagesSquare className="w-3 h-3" />
+                            <span>{showChat ? 'Hide' : 'Ask'} Document</span>
+                        </div>
+                        <div
+                            className={`flex items-center gap-2 hover:text-zinc-300 cursor-pointer ${showHistory ? 'text-zinc-300' : ''}`}
+                            onClick={() => setShowHistory(!showHistory)}
+                        >
+                            <History className="w-3 h-3" />
+                            <span>History</span>
+                        </div>
                         <div className="flex-1"></div>
 
                         <div className="flex items-center gap-2">
-                            <span className={`w-2 h-2 rounded-full ${serverStatus === 'connected' ? 'bg-green-500' : serverStatus === 'error' ? 'bg-red-500' : 'bg-yellow-500'}`}></span>
+                            <span className="w-2 h-2 rounded-full bg-green-500"></span>
                             <span>Local Engine</span>
                         </div>
-                        <div className="flex items-center gap-2">
-                            <Cloud className="w-3 h-3" />
-                            <span>{loading ? 'Processing...' : 'AI Ready'}</span>
+                        <div
+                            className="flex items-center gap-2 hover:text-zinc-300 cursor-pointer"
+                            onClick={connection.retry}
+                            title="Check the AI server now"
+                        >
+                            <span className={`w-2 h-2 rounded-full ${{ ready: 'bg-green-500', busy: 'bg-blue-500 animate-pulse', loading: 'bg-yellow-500 animate-pulse', error: 'bg-red-500' }[serverState] || 'bg-zinc-600'}`}></span>
+                            {connection.available ? <Cloud className="w-3 h-3" /> : <CloudOff className="w-3 h-3" />}
+                            <span>AI {CONNECTION_STATES[serverState]}</span>
                         </div>
                         <div>Ln {lines.length}</div>
                         <div>UTF-8</div>
                     </div>
 
                 </main>
+
+                {/* CHAT */}
+                {showChat && (
+                    <aside className={`w-80 flex-none border-l ${BORDER_COLOR} bg-zinc-950`}>
+                        <ChatPanel chat={documentChat} available={connection.available} onClose={() => setShowChat(false)} dark />
+                    </aside>
+                )}
+
+                {/* HISTORY */}
+                {showHistory && view === 'editor' && (
+                    <aside className={`w-80 flex-none border-l ${BORDER_COLOR} bg-zinc-950`}>
+                        <HistoryPanel key={activeTab?.id} history={history} rates={rates} display={display} onClose={() => setShowHistory(false)} dark />
+                    </aside>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,310 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { completionsAt, diagnosticRange, highlightLine } from '../engine';
+
+// Token colors (see engine/highlight.js). Only colors: a bolder or slanted
+// glyph could wrap differently from the textarea above it.
+const TOKEN_CLASSES = {
+    light: {
+        header: 'text-gray-900',
+        comment: 'text-gray-400',
+        name: 'text-purple-700',
+        variable: 'text-purple-500',
+        number: 'text-blue-600',
+        currency: 'text-green-600',
+        date: 'text-teal-600',
+        unit: 'text-amber-600',
+        function: 'text-pink-600',
+        keyword: 'text-sky-600',
+        reference: 'text-orange-600',
+        operator: 'text-gray-400',
+        tag: 'text-purple-400',
+        text: 'text-gray-800',
+    },
+    dark: {
+        header: 'text-zinc-100',
+        comment: 'text-zinc-600',
+        name: 'text-purple-300',
+        variable: 'text-purple-400',
+        number: 'text-blue-400',
+        currency: 'text-green-400',
+        date: 'text-teal-400',
+        unit: 'text-amber-400',
+        function: 'text-pink-400',
+        keyword: 'text-sky-400',
+        reference: 'text-orange-400',
+        operator: 'text-zinc-500',
+        tag: 'text-purple-400',
+        text: 'text-zinc-300',
+    },
+};
+
+// Line backgrounds for a trace (see engine/trace.js)
+const TRACE_CLASSES = {
+    light: { line: 'bg-gray-100', precedent: 'bg-blue-50', dependent: 'bg-amber-50' },
+    dark: { line: 'bg-white/5', precedent: 'bg-blue-500/10', dependent: 'bg-amber-500/10' },
+};
+
+const ERROR_CLASS = 'underline decoration-wavy decoration-red-500 underline-offset-4';
+const KIND_LABELS = { variable: 'var', tag: 'tag', function: 'fn', keyword: 'kw' };
+
+// Splits the segment at `column` so an empty anchor can sit there
+const splitAt = (segments, column) => {
+    let at = 0;
+    const parts = [];
+    segments.forEach((segment) => {
+        const end = at + segment.text.length;
+        if (column > at && column < end) {
+            parts.push({ ...segment, text: segment.text.slice(0, column - at) }, { ...segment, text: segment.text.slice(column - at) });
+        } else {
+            parts.push(segment);
+        }
+        at = end;
+    });
+    return parts;
+};
+
+// The document editor: a transparent textarea over a highlighted copy of the
+// text. Both soft-wrap the same way, so a long line takes several rows; the
+// height of every line is measured and reported through `onLineHeights` for
+// the columns that line up with it (results, line numbers). `className` and
+// `style` set the typography and padding of both layers, which must match.
+//
+// While typing, a popup offers completions (see engine/completions.js):
+// arrows move through it, Enter or Tab inserts, Escape closes it.
+//
+// The line under the mouse, or else the one with the caret, is reported
+// through `onActiveLine` (an index, or null); the lines of `trace` (see
+// engine/trace.js) are tinted.
+//
+// Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) call `onUndo` and `onRedo`
+// instead of the textarea's own undo; they return the text they went back
+// to, or null.
+const CalcEditor = ({ value, onChange, results, trace = null, onActiveLine, onUndo, onRedo, onScroll, onLineHeights, inputRef, className = '', style, dark = false, ...rest }) => {
+    const mirrorRef = useRef(null);
+    const textareaRef = useRef(null);
+    const heightsRef = useRef([]);
+    const anchorRef = useRef(null);
+    const caretRef = useRef(null);
+    const popupRef = useRef(null);
+    const hoverLineRef = useRef(null);
+    const caretLineRef = useRef(null);
+    const activeLineRef = useRef(null);
+    const [width, setWidth] = useState(0);
+    const [completion, setCompletion] = useState(null);
+    const lines = value.split('\n');
+
+    const names = useMemo(() => Object.values(results).map(res => res?.name).filter(Boolean), [results]);
+    const colors = TOKEN_CLASSES[dark ? 'dark' : 'light'];
+    const traceColors = TRACE_CLASSES[dark ? 'dark' : 'light'];
+
+    // Wrapping changes with the width
+    useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+        observer.observe(mirrorRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    useLayoutEffect(() => {
+        const heights = [...mirrorRef.current.children].map(el => el.offsetHeight);
+        const previous = heightsRef.current;
+        if (heights.length === previous.length && heights.every((h, i) => h === previous[i])) return;
+        heightsRef.current = heights;
+        onLineHeights?.(heights);
+    }, [value, width, onLineHeights]);
+
+    // The popup opens below the start of the word being completed
+    useLayoutEffect(() => {
+        if (!completion || !anchorRef.current || !popupRef.current) return;
+        const box = mirrorRef.current.parentElement.getBoundingClientRect();
+        const rect = anchorRef.current.getBoundingClientRect();
+        Object.assign(popupRef.current.style, { top: `${rect.bottom - box.top + 4}px`, left: `${rect.left - box.left}px`, visibility: 'visible' });
+    }, [completion]);
+
+    // Put the caret after an inserted completion
+    useLayoutEffect(() => {
+        if (caretRef.current === null || !textareaRef.current) return;
+        textareaRef.current.setSelectionRange(caretRef.current, caretRef.current);
+        caretRef.current = null;
+    }, [value]);
+
+    const reportLine = () => {
+        const line = hoverLineRef.current ?? caretLineRef.current;
+        if (line === activeLineRef.current) return;
+        activeLineRef.current = line;
+        onActiveLine?.(line);
+    };
+
+    const handleSelect = (e) => {
+        caretLineRef.current = e.target.value.slice(0, e.target.selectionStart).split('\n').length - 1;
+        reportLine();
+    };
+
+    // The mirror's rows are where the textarea's lines are
+    const handleMouseMove = (e) => {
+        const line = [...mirrorRef.current.children].findIndex((el) => {
+            const rect = el.getBoundingClientRect();
+            return e.clientY >= rect.top && e.clientY < rect.bottom;
+        });
+        hoverLineRef.current = line < 0 ? null : line;
+        reportLine();
+    };
+
+    const handleMouseLeave = () => {
+        hoverLineRef.current = null;
+        reportLine();
+    };
+
+    const handleBlur = () => {
+        caretLineRef.current = null;
+        reportLine();
+        setCompletion(null);
+    };
+
+    const setRefs = (el) => {
+        textareaRef.current = el;
+        if (inputRef) inputRef.current = el;
+    };
+
+    const handleChange = (e) => {
+        const next = e.target.value;
+        onChange(next);
+        // Only typing opens the popup, deleting keeps it up to date
+        const typing = e.nativeEvent.inputType?.startsWith('insert');
+        const found = typing || completion ? completionsAt(next, e.target.selectionStart, results) : null;
+        setCompletion(found && { ...found, active: 0 });
+    };
+
+    const accept = (item) => {
+        const { from, to } = completion;
+        caretRef.current = from + item.insert.length;
+        onChange(value.slice(0, from) + item.insert + value.slice(to));
+        setCompletion(null);
+    };
+
+    const handleKeyDown = (e) => {
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && (key === 'z' || key === 'y') && onUndo) {
+            e.preventDefault();
+            const next = key === 'y' || e.shiftKey ? onRedo?.() : onUndo();
+            if (typeof next === 'string') {
+                // The caret goes to the end of what changed
+                let suffix = 0;
+                while (suffix < next.length && suffix < value.length && next[next.length - 1 - suffix] === value[value.length - 1 - suffix]) suffix++;
+                caretRef.current = next.length - suffix;
+            }
+            setCompletion(null);
+            return;
+        }
+        if (!completion) return;
+        const count = completion.items.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setCompletion({ ...completion, active: (completion.active + step + count) % count });
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            accept(completion.items[completion.active]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setCompletion(null);
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+            setCompletion(null);
+        }
+    };
+
+    const handleScroll = (e) => {
+        mirrorRef.current.scrollTop = e.target.scrollTop;
+        mirrorRef.current.scrollLeft = e.target.scrollLeft;
+        setCompletion(null);
+        onScroll?.(e);
+    };
+
+    // Line and column of the popup's anchor
+    const anchorLine = completion ? value.slice(0, completion.from).split('\n').length - 1 : -1;
+    const anchorColumn = completion ? completion.from - value.lastIndexOf('\n', completion.from - 1) - 1 : -1;
+    const traceClass = (i) => {
+        if (!trace) return undefined;
+        if (i === trace.line) return traceColors.line;
+        if (trace.precedents.has(i)) return traceColors.precedent;
+        if (trace.dependents.has(i)) return traceColors.dependent;
+        return undefined;
+    };
+    const renderSegment = (segment, j) => (
+        <span key={j} className={[colors[segment.type], segment.error && ERROR_CLASS].filter(Boolean).join(' ') || undefined}>{segment.text}</span>
+    );
+
+    // Room for the textarea's scrollbar in both layers, so they wrap alike
+    const layerStyle = { ...style, scrollbarGutter: 'stable' };
+
+    return (
+        <div className="relative w-full h-full">
+            <div
+                ref={mirrorRef}
+                aria-hidden="true"
+                className={`absolute inset-0 m-0 overflow-hidden whitespace-pre-wrap break-words pointer-events-none ${className}`}
+                style={layerStyle}
+            >
+                {lines.map((line, i) => {
+                    const segments = highlightLine(line, { names, error: diagnosticRange(line, results[i]?.error) });
+                    if (i === anchorLine) {
+                        const parts = splitAt(segments, anchorColumn);
+                        let at = 0;
+                        const children = [];
+                        parts.forEach((part, j) => {
+                            if (at === anchorColumn) children.push(<span key="anchor" ref={anchorRef} />);
+                            children.push(renderSegment(part, j));
+                            at += part.text.length;
+                        });
+                        if (at === anchorColumn) children.push(<span key="anchor" ref={anchorRef} />);
+                        return <div key={i} className={traceClass(i)}>{children}</div>;
+                    }
+                    return (
+                        // An empty line still takes a row
+                        <div key={i} className={traceClass(i)}>
+                            {segments.length ? segments.map(renderSegment) : '\u200b'}
+                        </div>
+                    );
+                })}
+            </div>
+            <textarea
+                ref={setRefs}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onClick={() => setCompletion(null)}
+                onBlur={handleBlur}
+                onSelect={handleSelect}
+                onMouseMove={handleMouseMove}
+                onMouseLeave={handleMouseLeave}
+                onScroll={handleScroll}
+                spellCheck="false"
+                className={`absolute inset-0 w-full h-full m-0 overflow-auto whitespace-pre-wrap break-words resize-none bg-transparent text-transparent caret-blue-500 focus:outline-none ${className}`}
+                style={layerStyle}
+                {...rest}
+            />
+            {completion && (
+                <div
+                    ref={popupRef}
+                    className={`absolute z-30 min-w-[220px] max-w-[360px] max-h-60 overflow-y-auto rounded-md border shadow-xl py-1 font-mono text-xs ${dark ? 'bg-zinc-900 border-zinc-700 text-zinc-300' : 'bg-white border-gray-200 text-gray-800'}`}
+                    style={{ visibility: 'hidden' }}
+                >
+                    {completion.items.map((item, i) => (
+                        <div
+                            key={`${item.kind}:${item.label}`}
+                            // Keep the focus in the textarea
+                            onMouseDown={(e) => { e.preventDefault(); accept(item); }}
+                            onMouseEnter={() => setCompletion({ ...completion, active: i })}
+                            className={`flex items-center gap-2 px-2 py-1 cursor-pointer ${i === completion.active ? (dark ? 'bg-zinc-800' : 'bg-blue-50') : ''}`}
+                        >
+                            <span className={`w-6 shrink-0 text-[10px] ${colors[item.kind]}`}>{KIND_LABELS[item.kind]}</span>
+                            <span className="flex-1 truncate">{item.label}</span>
+                            {item.detail && <span className={`shrink-0 ${dark ? 'text-zinc-500' : 'text-gray-400'}`}>{item.detail}</span>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CalcEditor;
@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CircleAlert, CloudOff, Plus, SendHorizontal, Square, Trash2, X } from 'lucide-react';
+import { splitAnswer } from '../services/documentChat';
+
+const SUGGESTIONS = ['Summarize this document', 'Where does the total come from?', 'What if the biggest cost rises 5%?'];
+
+// Side panel for questions about the document (see hooks/useDocumentChat.js).
+// Answers stream in; each line of a proposed calculation has a button that
+// appends it to the document.
+const ChatPanel = ({ chat, available, onClose, dark = false }) => {
+    const [question, setQuestion] = useState('');
+    const listRef = useRef(null);
+    const { messages, busy } = chat;
+
+    // Follow the answer as it grows
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages]);
+
+    const send = (text = question) => {
+        if (!text.trim() || busy) return;
+        chat.ask(text.trim());
+        setQuestion('');
+    };
+
+    const muted = dark ? 'text-zinc-500' : 'text-zinc-400';
+    const bubble = dark ? 'bg-zinc-900 border-zinc-800' : 'bg-white border-zinc-200';
+
+    const renderAnswer = (message) => splitAnswer(message.content).map((part, i) => (
+        part.type === 'text' ? (
+            <p key={i} className="whitespace-pre-wrap break-words">{part.text}</p>
+        ) : (
+            <div key={i} className={`rounded border font-mono ${dark ? 'bg-zinc-950 border-zinc-800' : 'bg-zinc-50 border-zinc-200'}`}>
+                {part.lines.map((line, j) => (
+                    <div key={j} className="flex items-center gap-2 px-2 py-1 group">
+                        <span className="flex-1 min-w-0 break-all">{line}</span>
+                        <button
+                            onClick={() => chat.insert(line)}
+                            title="Insert as a new line"
+                            className="p-0.5 rounded text-blue-500 hover:bg-blue-500/20 opacity-60 group-hover:opacity-100"
+                        >
+                            <Plus className="w-3 h-3" />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        )
+    ));
+
+    return (
+        <div className={`h-full flex flex-col text-xs ${dark ? 'text-zinc-300' : 'text-zinc-700'}`}>
+            <div className={`p-3 border-b font-semibold flex justify-between items-center ${dark ? 'border-zinc-800' : 'border-zinc-200'}`}>
+                <span>Ask the Document</span>
+                <div className="flex items-center gap-2">
+                    {messages.length > 0 && (
+                        <button onClick={chat.clear} title="Clear the conversation" className="opacity-60 hover:opacity-100">
+                            <Trash2 className="w-3 h-3" />
+                        </button>
+                    )}
+                    <button onClick={onClose} title="Close" className="hover:text-red-500">
+                        <X className="w-3 h-3" />
+                    </button>
+                </div>
+            </div>
+
+            <div ref={listRef} className="flex-1 overflow-y-auto p-3 space-y-3">
+                {!messages.length && (
+                    <div className="space-y-2">
+                        <p className={muted}>Ask about the numbers in this document. Proposed calculations can be added to it.</p>
+                        {SUGGESTIONS.map(text => (
+                            <button key={text} onClick={() => send(text)} disabled={busy} className={`block w-full text-left px-2 py-1.5 rounded border hover:border-blue-500 ${bubble}`}>
+                                {text}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {messages.map((message, i) => (
+                    message.role === 'user' ? (
+                        <div key={i} className="flex justify-end">
+                            <p className="max-w-[85%] px-2 py-1.5 rounded bg-blue-500 text-white whitespace-pre-wrap break-words">{message.content}</p>
+                        </div>
+                    ) : (
+                        <div key={i} className={`px-2 py-1.5 rounded border space-y-2 ${bubble}`}>
+                            {renderAnswer(message)}
+                            {!message.content && !message.error && <span className={`${muted} animate-pulse`}>Thinking…</span>}
+                            {message.error && (
+                                <p className="flex items-start gap-1 text-red-500 break-words">
+                                    <CircleAlert className="w-3 h-3 mt-0.5 shrink-0" />
+                                    {message.error}
+                                </p>
+                            )}
+                        </div>
+                    )
+                ))}
+            </div>
+
+            <div className={`p-3 border-t space-y-2 ${dark ? 'border-zinc-800' : 'border-zinc-200'}`}>
+                {!available && (
+                    <p className={`flex items-center gap-1 ${muted}`}>
+                        <CloudOff className="w-3 h-3" />
+                        The AI server is not available
+                    </p>
+                )}
+                <div className="flex items-end gap-2">
+                    <textarea
+                        value={question}
+                        onChange={(e) => setQuestion(e.target.value)}
+                        onKeyDown={(e) => {
+                            // Enter sends, Shift+Enter starts a new line
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault();
+                                send();
+                            }
+                        }}
+                        rows={2}
+                        placeholder="Why is Runway only 12?"
+                        className={`flex-1 px-2 py-1 rounded text-xs outline-none border resize-none ${dark
+                            ? 'bg-zinc-900 border-zinc-800 text-zinc-200 focus:border-blue-500'
+                            : 'bg-white border-zinc-200 text-zinc-800 focus:border-blue-400'}`}
+                    />
+                    {busy ? (
+                        <button onClick={chat.stop} title="Stop" className="p-2 rounded bg-zinc-500 hover:bg-zinc-600 text-white">
+                            <Square className="w-3 h-3" />
+                        </button>
+                    ) : (
+                        <button onClick={() => send()} disabled={!question.trim()} title="Send" className="p-2 rounded bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-40">
+                            <SendHorizontal className="w-3 h-3" />
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChatPanel;
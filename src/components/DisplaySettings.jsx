@@ -0,0 +1,52 @@
+import React from 'react';
+import { ROUNDING_MODES } from '../engine';
+
+const PRECISIONS = [null, 0, 1, 2, 3, 4, 6, 8];
+
+const ROUNDING_LABELS = {
+    'half-up': 'Half up (1.5 → 2, -1.5 → -2)',
+    'half-even': 'Half even (2.5 → 2)',
+    'down': 'Toward zero',
+    'up': 'Away from zero',
+    'floor': 'Down (floor)',
+    'ceil': 'Up (ceiling)',
+};
+
+// Precision and rounding mode of the open document. Only the displayed
+// results are rounded; the engine keeps exact values.
+const DisplaySettings = ({ settings, onChange, dark = false }) => {
+    const selectClass = `w-full px-2 py-1 rounded text-xs outline-none border ${dark
+        ? 'bg-zinc-900 border-zinc-800 text-zinc-200 focus:border-blue-500'
+        : 'bg-white border-zinc-200 text-zinc-800 focus:border-blue-400'}`;
+
+    return (
+        <div className="space-y-2 text-xs">
+            <label className="block space-y-1">
+                <span className="opacity-60">Decimal places</span>
+                <select
+                    value={settings.precision ?? 'auto'}
+                    onChange={(e) => onChange({ precision: e.target.value === 'auto' ? null : Number(e.target.value) })}
+                    className={selectClass}
+                >
+                    {PRECISIONS.map(p => (
+                        <option key={p ?? 'auto'} value={p ?? 'auto'}>{p === null ? 'Auto (currency default)' : p}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="block space-y-1">
+                <span className="opacity-60">Rounding</span>
+                <select
+                    value={settings.rounding}
+                    onChange={(e) => onChange({ rounding: e.target.value })}
+                    className={selectClass}
+                >
+                    {ROUNDING_MODES.map(mode => (
+                        <option key={mode} value={mode}>{ROUNDING_LABELS[mode]}</option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+};
+
+export default DisplaySettings;
@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { BookmarkPlus, Redo2, RotateCcw, Trash2, Undo2, X } from 'lucide-react';
+import { compareVersions } from '../engine';
+
+const CURRENT = 'current';
+
+const timeLabel = (time) => new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Side panel for the document's history (see hooks/useDocumentHistory.js):
+// undo and redo, saving the current text as a named version, and the
+// versions taken so far. Selecting a version compares it with the current
+// text, or with another version: the results that changed ("Runway 12 →
+// 10.5") and the lines added and removed. `rates` and `display` are the
+// document's, for evaluating the versions.
+const HistoryPanel = ({ history, rates, display, onClose, dark = false }) => {
+    const [name, setName] = useState('');
+    const [from, setFrom] = useState(null);
+    const [to, setTo] = useState(CURRENT);
+
+    const { snapshots: taken, text } = history;
+    const diff = useMemo(() => {
+        const textOf = (id) => (id === CURRENT ? text : taken.find(s => s.id === id)?.text);
+        const before = from && textOf(from);
+        return typeof before === 'string' ? compareVersions(before, textOf(to) ?? text, { rates, display }) : null;
+    }, [taken, text, from, to, rates, display]);
+    const snapshots = [...taken].sort((a, b) => b.time - a.time);
+
+    const save = () => {
+        if (!name.trim()) return;
+        history.saveVersion(name.trim());
+        setName('');
+    };
+
+    const muted = dark ? 'text-zinc-500' : 'text-zinc-400';
+    const border = dark ? 'border-zinc-800' : 'border-zinc-200';
+    const button = `p-1 rounded disabled:opacity-30 ${dark ? 'hover:bg-zinc-800' : 'hover:bg-zinc-100'}`;
+    const lineClasses = {
+        added: dark ? 'bg-green-500/10 text-green-400' : 'bg-green-50 text-green-700',
+        removed: dark ? 'bg-red-500/10 text-red-400' : 'bg-red-50 text-red-700',
+        same: muted,
+    };
+
+    return (
+        <div className={`h-full flex flex-col text-xs ${dark ? 'text-zinc-300' : 'text-zinc-700'}`}>
+            <div className={`p-3 border-b font-semibold flex justify-between items-center ${border}`}>
+                <span>History</span>
+                <div className="flex items-center gap-1">
+                    <button onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)" className={button}>
+                        <Undo2 className="w-3 h-3" />
+                    </button>
+                    <button onClick={history.redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)" className={button}>
+                        <Redo2 className="w-3 h-3" />
+                    </button>
+                    <button onClick={onClose} title="Close" className="ml-1 hover:text-red-500">
+                        <X className="w-3 h-3" />
+                    </button>
+                </div>
+            </div>
+
+            <div className={`p-3 border-b flex items-center gap-2 ${border}`}>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && save()}
+                    placeholder="Name this version"
+                    className={`flex-1 min-w-0 px-2 py-1 rounded text-xs outline-none border ${dark
+                        ? 'bg-zinc-900 border-zinc-800 text-zinc-200 focus:border-blue-500'
+                        : 'bg-white border-zinc-200 text-zinc-800 focus:border-blue-400'}`}
+                />
+                <button onClick={save} disabled={!name.trim()} title="Save version" className="p-1.5 rounded bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-40">
+                    <BookmarkPlus className="w-3 h-3" />
+                </button>
+            </div>
+
+            <div className={`max-h-[40%] overflow-y-auto border-b ${border}`}>
+                {!snapshots.length && <p className={`p-3 ${muted}`}>Versions appear here once you edit the document.</p>}
+                {snapshots.map(snapshot => (
+                    <div
+                        key={snapshot.id}
+                        onClick={() => setFrom(from === snapshot.id ? null : snapshot.id)}
+                        className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer group ${from === snapshot.id ? (dark ? 'bg-zinc-800' : 'bg-blue-50') : (dark ? 'hover:bg-zinc-900' : 'hover:bg-zinc-50')}`}
+                    >
+                        <span className={`flex-1 truncate ${snapshot.auto ? muted : 'font-medium'}`}>{snapshot.name || 'Autosave'}</span>
+                        <span className={`shrink-0 ${muted}`}>{timeLabel(snapshot.time)}</span>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); history.restore(snapshot); }}
+                            title="Restore this version"
+                            className="p-0.5 rounded text-blue-500 hover:bg-blue-500/20 opacity-0 group-hover:opacity-100"
+                        >
+                            <RotateCcw className="w-3 h-3" />
+                        </button>
+                        {!snapshot.auto && (
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    if (from === snapshot.id) setFrom(null);
+                                    if (to === snapshot.id) setTo(CURRENT);
+                                    history.deleteVersion(snapshot.id);
+                                }}
+                                title="Delete this version"
+                                className="p-0.5 rounded text-red-500 hover:bg-red-500/20 opacity-0 group-hover:opacity-100"
+                            >
+                                <Trash2 className="w-3 h-3" />
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-3 space-y-3">
+                {!diff ? (
+                    <p className={muted}>Select a version to compare it with the current text.</p>
+                ) : (
+                    <>
+                        <label className="flex items-center gap-2">
+                            <span className={muted}>Compare with</span>
+                            <select
+                                value={to}
+                                onChange={(e) => setTo(e.target.value)}
+                                className={`flex-1 min-w-0 px-1 py-0.5 rounded border outline-none ${dark ? 'bg-zinc-900 border-zinc-800' : 'bg-white border-zinc-200'}`}
+                            >
+                                <option value={CURRENT}>Current text</option>
+                                {snapshots.filter(s => s.id !== from).map(s => (
+                                    <option key={s.id} value={s.id}>{s.name || 'Autosave'} · {timeLabel(s.time)}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <div className="space-y-1">
+                            <div className="font-semibold">Results</div>
+                            {!diff.results.length && <p className={muted}>No result changed.</p>}
+                            {diff.results.map((change, i) => (
+                                <div key={i} className="flex items-center gap-2 font-mono">
+                                    <span className="flex-1 min-w-0 truncate" title={change.label}>{change.label}</span>
+                                    <span className={change.before === null ? muted : ''}>{change.before ?? '—'}</span>
+                                    <span className={muted}>→</span>
+                                    <span className={`font-semibold ${change.after === null ? muted : dark ? 'text-blue-400' : 'text-blue-600'}`}>{change.after ?? '—'}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="space-y-1">
+                            <div className="font-semibold">Text</div>
+                            <div className={`rounded border font-mono overflow-x-auto ${border}`}>
+                                {diff.lines.map((line, i) => (
+                                    <div key={i} className={`px-2 whitespace-pre ${lineClasses[line.type]}`}>
+                                        {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text || ' '}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPanel;
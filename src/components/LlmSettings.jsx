@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { listModels } from '../services/llama';
+import { PROVIDERS } from '../services/providers';
+
+// Numeric fields: parse the draft text and say whether it is acceptable.
+// An empty max tokens field means "server default".
+const NUMBER_FIELDS = {
+    temperature: (text) => {
+        const value = parseFloat(text);
+        return Number.isFinite(value) && value >= 0 && value <= 2 ? value : undefined;
+    },
+    maxTokens: (text) => {
+        if (!text.trim()) return null;
+        const value = Number(text);
+        return Number.isInteger(value) && value > 0 ? value : undefined;
+    },
+    debounceMs: (text) => {
+        const value = Number(text);
+        return Number.isInteger(value) && value >= 0 ? value : undefined;
+    },
+};
+
+// Backend, endpoint, model and request parameters for the LLM server. Like
+// the rate editor, numeric inputs keep their own draft text and only valid
+// numbers are saved. The model field suggests the models the server lists.
+const LlmSettings = ({ settings, onChange, onReset, dark = false }) => {
+    const [drafts, setDrafts] = useState({});
+    const [models, setModels] = useState([]);
+    const { provider, baseUrl, apiKey } = settings;
+
+    useEffect(() => {
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            listModels({ provider, baseUrl, apiKey })
+                .then(names => !cancelled && setModels(names))
+                .catch(() => !cancelled && setModels([]));
+        }, 300);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [provider, baseUrl, apiKey]);
+
+    // Follow the new backend's default address unless a custom one is set
+    const changeProvider = (next) => {
+        const patch = { provider: next };
+        if (baseUrl === PROVIDERS[provider]?.defaultBaseUrl) patch.baseUrl = PROVIDERS[next].defaultBaseUrl;
+        onChange(patch);
+    };
+
+    const inputClass = `w-full px-2 py-1 rounded text-xs font-mono outline-none border ${dark
+        ? 'bg-zinc-900 border-zinc-800 text-zinc-200 focus:border-blue-500'
+        : 'bg-white border-zinc-200 text-zinc-800 focus:border-blue-400'}`;
+    const invalidClass = '!border-red-500';
+
+    const updateNumber = (field, text) => {
+        setDrafts(prev => ({ ...prev, [field]: text }));
+        const value = NUMBER_FIELDS[field](text);
+        if (value !== undefined) onChange({ [field]: value });
+    };
+
+    const numberInput = (field, placeholder) => {
+        const text = drafts[field] ?? (settings[field] === null ? '' : String(settings[field]));
+        return (
+            <input
+                type="text"
+                inputMode="decimal"
+                placeholder={placeholder}
+                value={text}
+                onChange={(e) => updateNumber(field, e.target.value)}
+                className={`${inputClass} ${NUMBER_FIELDS[field](text) === undefined ? invalidClass : ''}`}
+            />
+        );
+    };
+
+    const field = (label, input, hint) => (
+        <label className="block space-y-1">
+            <span className="opacity-60">{label}</span>
+            {input}
+            {hint && <span className="block text-[10px] opacity-40">{hint}</span>}
+        </label>
+    );
+
+    return (
+        <div className="space-y-3 text-xs">
+            {field('Provider', (
+                <select
+                    value={provider}
+                    onChange={(e) => changeProvider(e.target.value)}
+                    className={inputClass}
+                >
+                    {Object.entries(PROVIDERS).map(([id, provider]) => (
+                        <option key={id} value={id}>{provider.label}</option>
+                    ))}
+                </select>
+            ))}
+            {field('Base URL', (
+                <input
+                    type="text"
+                    placeholder={PROVIDERS[provider]?.defaultBaseUrl}
+                    value={settings.baseUrl}
+                    onChange={(e) => onChange({ baseUrl: e.target.value })}
+                    className={inputClass}
+                />
+            ), 'Leave empty to use the dev server proxy')}
+            {field('Model', (
+                <>
+                    <input
+                        type="text"
+                        list="llm-models"
+                        value={settings.model}
+                        onChange={(e) => onChange({ model: e.target.value })}
+                        className={inputClass}
+                    />
+                    <datalist id="llm-models">
+                        {models.map(name => <option key={name} value={name} />)}
+                    </datalist>
+                </>
+            ), models.length ? `${models.length} available on the server` : null)}
+            <div className="grid grid-cols-2 gap-2">
+                {field('Temperature', numberInput('temperature'))}
+                {field('Max tokens', numberInput('maxTokens', 'Default'))}
+            </div>
+            {field('Debounce (ms)', numberInput('debounceMs'), 'Pause after typing before the document is sent')}
+            {field('API key', (
+                <input
+                    type="password"
+                    placeholder="Optional"
+                    autoComplete="off"
+                    value={settings.apiKey}
+                    onChange={(e) => onChange({ apiKey: e.target.value })}
+                    className={inputClass}
+                />
+            ), 'Sent as a Bearer token')}
+            <button
+                onClick={() => { setDrafts({}); onReset(); }}
+                className="flex items-center gap-1 opacity-60 hover:opacity-100"
+                title="Restore default settings"
+            >
+                <RotateCcw className="w-3 h-3" />
+                <span>Reset</span>
+            </button>
+        </div>
+    );
+};
+
+export default LlmSettings;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Plus, RotateCcw, X } from 'lucide-react';
+
+// Editable exchange rate table. Rates are "units per 1 base currency".
+// Inputs keep their own draft text so half-typed numbers ("0.") survive.
+const RatesEditor = ({ rates, onChange, onRemove, onReset, dark = false }) => {
+    const [drafts, setDrafts] = useState({});
+    const [newCode, setNewCode] = useState('');
+    const [newRate, setNewRate] = useState('');
+
+    const inputClass = `w-full px-2 py-1 rounded text-xs font-mono outline-none border ${dark
+        ? 'bg-zinc-900 border-zinc-800 text-zinc-200 focus:border-blue-500'
+        : 'bg-white border-zinc-200 text-zinc-800 focus:border-blue-400'}`;
+
+    const updateRate = (code, text) => {
+        setDrafts(prev => ({ ...prev, [code]: text }));
+        const rate = parseFloat(text);
+        if (Number.isFinite(rate) && rate > 0) onChange(code, rate);
+    };
+
+    const addRate = () => {
+        const code = newCode.trim().toUpperCase();
+        const rate = parseFloat(newRate);
+        if (!/^[A-Z]{3}$/.test(code) || !Number.isFinite(rate) || rate <= 0) return;
+        onChange(code, rate);
+        setNewCode('');
+        setNewRate('');
+    };
+
+    const codes = Object.keys(rates.rates).filter(code => code !== rates.base).sort();
+
+    return (
+        <div className="space-y-1 text-xs">
+            <div className="flex items-center justify-between opacity-60 pb-1">
+                <span>1 {rates.base} =</span>
+                <button
+                    onClick={() => { setDrafts({}); onReset(); }}
+                    className="flex items-center gap-1 hover:opacity-100"
+                    title="Restore default rates"
+                >
+                    <RotateCcw className="w-3 h-3" />
+                    <span>Reset</span>
+                </button>
+            </div>
+
+            {codes.map(code => (
+                <div key={code} className="flex items-center gap-2 group">
+                    <input
+                        type="text"
+                        inputMode="decimal"
+                        value={drafts[code] ?? String(rates.rates[code])}
+                        onChange={(e) => updateRate(code, e.target.value)}
+                        className={inputClass}
+                    />
+                    <span className="w-8 font-mono shrink-0">{code}</span>
+                    <button onClick={() => onRemove(code)} className="opacity-0 group-hover:opacity-60 hover:!opacity-100">
+                        <X className="w-3 h-3" />
+                    </button>
+                </div>
+            ))}
+
+            <div className="flex items-center gap-2 pt-2">
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    placeholder="Rate"
+                    value={newRate}
+                    onChange={(e) => setNewRate(e.target.value)}
+                    className={inputClass}
+                />
+                <input
+                    type="text"
+                    placeholder="ISO"
+                    maxLength={3}
+                    value={newCode}
+                    onChange={(e) => setNewCode(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && addRate()}
+                    className={`${inputClass} !w-12 uppercase`}
+                />
+                <button onClick={addRate} className="opacity-60 hover:opacity-100" title="Add currency">
+                    <Plus className="w-3 h-3" />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RatesEditor;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+const DOT_CLASSES = {
+    line: 'w-2 h-2 bg-transparent border-2 border-gray-500',
+    precedent: 'w-1.5 h-1.5 bg-blue-500',
+    dependent: 'w-1.5 h-1.5 bg-amber-500',
+};
+
+// The gutter marker of `line` for a trace (see engine/trace.js): a rail
+// through every line from the first to the last traced one, with a dot on
+// the traced line (hollow), the lines it comes from (blue) and the lines that
+// use it (amber). Indirect ones are fainter. Sits in a `relative` row;
+// `className` places it horizontally.
+const TraceMarker = ({ trace, line, className = '', dark = false }) => {
+    if (!trace || line < trace.from || line > trace.to) return null;
+    const role = line === trace.line ? 'line' : trace.precedents.has(line) ? 'precedent' : trace.dependents.has(line) ? 'dependent' : null;
+    const distance = trace.precedents.get(line) ?? trace.dependents.get(line);
+    // The rail and the dots meet at the middle of the line's first row
+    const rail = trace.from === trace.to ? null : { top: line === trace.from ? 16 : 0, ...(line === trace.to ? { height: 16 } : { bottom: 0 }) };
+
+    return (
+        <span aria-hidden="true" className={`absolute inset-y-0 w-3 pointer-events-none ${className}`}>
+            {rail && <span className={`absolute left-1/2 w-px -translate-x-1/2 ${dark ? 'bg-zinc-700' : 'bg-gray-300'}`} style={rail} />}
+            {role && (
+                <span
+                    className={`absolute left-1/2 -translate-x-1/2 -translate-y-1/2 rounded-full ${DOT_CLASSES[role]} ${distance > 1 ? 'opacity-50' : ''}`}
+                    style={{ top: 16 }}
+                />
+            )}
+        </span>
+    );
+};
+
+export default TraceMarker;
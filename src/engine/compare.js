@@ -0,0 +1,126 @@
+import { DEFAULT_RATES } from './currency';
+import { evaluateDocument } from './evaluate';
+import { mergeAiLogic } from './merge';
+import { nameKey } from './parser';
+import { resolvePhrases } from './phrases';
+
+// Differences between two versions of a document:
+//
+//   lines     the text, line by line: { type: 'same' | 'added' | 'removed',
+//             text, before, after } with the line's index in each version
+//             (null where it is missing)
+//   results   the values that changed: { label, before, after, line }, the
+//             values as displayed (null where the line has none) and the line
+//             in the newer version
+//
+// A named line is matched with the line of the same name, wherever it moved
+// ("Runway 12 -> 10.5" after its formula changed); other lines are matched
+// through the text diff, an edited line with the one it replaced. Both
+// versions are evaluated locally with the phrase rules; what only the AI
+// could resolve is left out.
+
+// Longest common subsequence of the two line lists, as a line diff
+const diffText = (a, b) => {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i], before: i++, after: j++ });
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            lines.push({ type: 'removed', text: a[i], before: i++, after: null });
+        } else {
+            lines.push({ type: 'added', text: b[j], before: null, after: j++ });
+        }
+    }
+    return lines;
+};
+
+const resultsOf = (text, options) => {
+    const local = evaluateDocument(text, options);
+    return mergeAiLogic(text, local, resolvePhrases(text, local), options);
+};
+
+// What a line shows: its value, 'error', or null for no value
+const shown = (res) => {
+    if (res?.type === 'error') return 'error';
+    return Number.isFinite(res?.value) ? res.formatted : null;
+};
+
+// Pairs of line indices ([before, after], either may be null) whose results
+// are compared
+const matchLines = (lines, before, after) => {
+    const pairs = [];
+    // Names, by their nth definition
+    const named = (results) => {
+        const keys = new Map();
+        const counts = new Map();
+        Object.keys(results).map(Number).sort((x, y) => x - y).forEach((idx) => {
+            if (!results[idx]?.name) return;
+            const key = nameKey(results[idx].name);
+            const n = counts.get(key) || 0;
+            counts.set(key, n + 1);
+            keys.set(`${key}#${n}`, idx);
+        });
+        return keys;
+    };
+    const namedBefore = named(before);
+    const namedAfter = named(after);
+    const taken = { before: new Set(namedBefore.values()), after: new Set(namedAfter.values()) };
+    namedBefore.forEach((idx, key) => pairs.push([idx, namedAfter.get(key) ?? null]));
+    namedAfter.forEach((idx, key) => {
+        if (!namedBefore.has(key)) pairs.push([null, idx]);
+    });
+
+    // Other lines: unchanged ones with themselves, and within a run of
+    // changes the removed lines with the added ones in order
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) pairs.push([removed[k] ?? null, added[k] ?? null]);
+        removed = [];
+        added = [];
+    };
+    lines.forEach((line) => {
+        if (line.type === 'same') {
+            flush();
+            if (!taken.before.has(line.before) && !taken.after.has(line.after)) pairs.push([line.before, line.after]);
+        } else if (line.type === 'removed' && !taken.before.has(line.before)) {
+            removed.push(line.before);
+        } else if (line.type === 'added' && !taken.after.has(line.after)) {
+            added.push(line.after);
+        }
+    });
+    flush();
+    return pairs;
+};
+
+// Compares version `before` with version `after` (both texts). `rates` and
+// `display` are the document's, as for mergeAiLogic.
+export const compareVersions = (before, after, { rates = DEFAULT_RATES, display = {}, now = new Date() } = {}) => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lines = diffText(a, b);
+    const options = { rates, display, now };
+    const resultsBefore = resultsOf(before, options);
+    const resultsAfter = resultsOf(after, options);
+
+    const results = [];
+    matchLines(lines, resultsBefore, resultsAfter).forEach(([i, j]) => {
+        const old = i === null ? null : shown(resultsBefore[i]);
+        const next = j === null ? null : shown(resultsAfter[j]);
+        if (old === next) return;
+        const res = (j !== null && resultsAfter[j]) || resultsBefore[i];
+        const label = res?.name || (j !== null ? b[j] : a[i]).trim();
+        results.push({ label, before: old, after: next, line: j });
+    });
+    // In the order of the newer version, removed lines last
+    results.sort((x, y) => (x.line ?? b.length) - (y.line ?? b.length));
+    return { lines, results };
+};
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { compareVersions } from './compare';
+
+const NOW = new Date(2026, 0, 15, 12, 0);
+const compare = (before, after) => compareVersions(before.join('\n'), after.join('\n'), { now: NOW });
+
+describe('compareVersions', () => {
+    it('diffs inserted, deleted and changed lines', () => {
+        const { lines } = compare(['# Trip', 'Flight = 400', 'Hotel = 300', '20 // taxi'], ['# Trip', 'Flight = 450', '20 // taxi', 'Food = 90']);
+        expect(lines).toEqual([
+            { type: 'same', text: '# Trip', before: 0, after: 0 },
+            { type: 'removed', text: 'Flight = 400', before: 1, after: null },
+            { type: 'removed', text: 'Hotel = 300', before: 2, after: null },
+            { type: 'added', text: 'Flight = 450', before: null, after: 1 },
+            { type: 'same', text: '20 // taxi', before: 3, after: 2 },
+            { type: 'added', text: 'Food = 90', before: null, after: 3 },
+        ]);
+    });
+
+    it('lists the values that changed, in the order of the newer version', () => {
+        const { results } = compare(['Flight = 400', 'Hotel = 300', '20 // taxi', 'total'], ['Flight = 450', '25 // taxi', 'Food = 90', 'total']);
+        expect(results).toEqual([
+            { label: 'Flight', before: '400', after: '450', line: 0 },
+            { label: '25 // taxi', before: '20', after: '25', line: 1 },
+            { label: 'Food', before: null, after: '90', line: 2 },
+            { label: 'total', before: '720', after: '565', line: 3 },
+            { label: 'Hotel', before: '300', after: null, line: null },
+        ]);
+    });
+
+    it('matches a named line wherever it moved', () => {
+        const { results } = compare(['Rent = 1000', 'Food = 300'], ['Food = 350', 'Rent = 1000']);
+        expect(results).toEqual([{ label: 'Food', before: '300', after: '350', line: 0 }]);
+    });
+
+    it('reports a line that stopped working', () => {
+        const { results } = compare(['Rent = 1000', 'Rent * 2'], ['Rent = 1000', 'Rent * ']);
+        expect(results).toEqual([{ label: 'Rent *', before: '2,000', after: 'error', line: 1 }]);
+    });
+
+    it('finds nothing between equal versions', () => {
+        const text = ['Rent = 1000', 'split evenly'];
+        expect(compare(text, text).results).toEqual([]);
+        expect(compare(text, text).lines.every(line => line.type === 'same')).toBe(true);
+    });
+});
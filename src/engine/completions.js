@@ -0,0 +1,103 @@
+import { DATE_KEYWORDS } from './dates';
+import { GRAMMAR_WORDS } from './diagnostics';
+import { extractTags, isCommentLine, isHeaderLine } from './evaluate';
+import { SAFE_FUNCS } from './functions';
+import { nameKey } from './parser';
+
+// Autocomplete for the editor. At a cursor position it offers the names the
+// line can use (with their current value), the document's tags after '#' or
+// "sum:", functions and keywords:
+//
+//   { from, to, items: [{ label, insert, kind, detail }] }
+//
+// `from`..`to` is the text the chosen item's `insert` replaces. Names may span
+// several words, so "Platform Fe" completes to "Platform Fee Rate".
+
+const MAX_ITEMS = 12;
+const KIND_ORDER = { variable: 0, tag: 1, function: 2, keyword: 3 };
+const KEYWORDS = [...new Set([
+    'total', 'subtotal', 'grand total', 'average', 'count', 'sum',
+    ...DATE_KEYWORDS,
+    ...[...GRAMMAR_WORDS].filter(word => word.length > 3),
+])];
+
+// The last `count` words of `text` as written ("Rent * Platform  Fe", 2 ->
+// "Platform  Fe"), or undefined
+const lastWords = (text, count) => text.match(new RegExp(`[A-Za-z_]\\w*(?:[ \\t]+[A-Za-z_]\\w*){${count - 1}}$`))?.[0];
+
+const matching = (items, prefix) => items.filter(item => nameKey(item.label).startsWith(prefix) && nameKey(item.label) !== prefix);
+
+const sorted = (items) => items
+    .sort((a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.label.localeCompare(b.label))
+    .slice(0, MAX_ITEMS);
+
+// The tags of the other lines, with the number of lines that carry them
+const tagItems = (lines, idx, prefix) => {
+    const counts = new Map();
+    lines.forEach((line, j) => {
+        if (j !== idx) extractTags(line).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts].map(([tag, count]) => ({ label: tag, insert: tag, kind: 'tag', detail: `${count} line${count === 1 ? '' : 's'}` }))
+        .filter(item => item.label.startsWith(prefix) && item.label !== prefix);
+};
+
+// The names line `idx` can use, each with the value of the definition it
+// would read: the nearest one above, otherwise the first one below
+const nameItems = (results, idx) => {
+    const defs = new Map();
+    Object.entries(results).forEach(([j, res]) => {
+        if (!res?.name) return;
+        const key = nameKey(res.name);
+        if (!defs.has(key)) defs.set(key, []);
+        defs.get(key).push(Number(j));
+    });
+    const items = [];
+    defs.forEach((at) => {
+        at.sort((a, b) => a - b);
+        const above = at.filter(j => j < idx);
+        const j = above.length ? above.at(-1) : at.find(j => j > idx);
+        if (j === undefined) return;
+        const res = results[j];
+        items.push({ label: res.name, insert: res.name, kind: 'variable', detail: res.type === 'error' ? 'error' : res.formatted || '' });
+    });
+    return items;
+};
+
+// Completions at offset `cursor` of `text`, or null. `results` are the
+// document's results (see mergeAiLogic), for names and values.
+export const completionsAt = (text, cursor, results) => {
+    const lineStart = text.lastIndexOf('\n', cursor - 1) + 1;
+    const lineEnd = text.indexOf('\n', cursor);
+    const line = text.slice(lineStart, lineEnd < 0 ? text.length : lineEnd);
+    const before = text.slice(lineStart, cursor);
+    // Not in the middle of a word, a header or a comment
+    if (/^\w/.test(text.slice(cursor)) || isHeaderLine(line) || isCommentLine(line) || before.includes('//')) return null;
+    const lines = text.split('\n');
+    const idx = text.slice(0, lineStart).split('\n').length - 1;
+
+    const done = (from, items) => (items.length ? { from, to: cursor, items: sorted(items) } : null);
+
+    // "sum: fo" and "#fo"
+    const sum = before.match(/^\s*sum\s*:\s*#?([\w-]*)$/i);
+    if (sum) return done(cursor - sum[1].length, tagItems(lines, idx, sum[1].toLowerCase()));
+    const tag = before.match(/#([\w-]*)$/);
+    if (tag) {
+        const items = tagItems(lines, idx, tag[1].toLowerCase()).map(item => ({ ...item, label: `#${item.label}`, insert: `#${item.insert}` }));
+        return done(cursor - tag[0].length, items);
+    }
+
+    const word = lastWords(before, 1);
+    if (!word) return null;
+    const names = nameItems(results, idx);
+    // The most words that still start a name, so "Platform Fe" is one prefix
+    const count = before.split(/\s+/).length;
+    for (let k = count; k > 1; k--) {
+        const words = lastWords(before, k);
+        const items = words ? matching(names, nameKey(words)) : [];
+        if (items.length) return done(cursor - words.length, items);
+    }
+    const prefix = word.toLowerCase();
+    const functions = Object.keys(SAFE_FUNCS).map(fn => ({ label: fn, insert: `${fn}(`, kind: 'function', detail: 'function' }));
+    const keywords = KEYWORDS.map(keyword => ({ label: keyword, insert: keyword, kind: 'keyword', detail: '' }));
+    return done(cursor - prefix.length, matching([...names, ...functions, ...keywords], prefix));
+};
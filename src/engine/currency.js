@@ -0,0 +1,78 @@
+import { CalcError } from './errors';
+import * as R from './rational';
+
+// Currencies. A currency value is an engine value with format 'currency' and an
+// ISO code in `currency`. Conversions use a rate table of the shape
+// { base: 'USD', rates: { EUR: 0.86, ... } } meaning 1 base = rate units. The
+// table is edited by the user and stored with the workspace, so nothing here
+// touches the network.
+
+export const DEFAULT_RATES = {
+    base: 'USD',
+    rates: {
+        USD: 1,
+        EUR: 0.86,
+        GBP: 0.75,
+        JPY: 155,
+        CHF: 0.8,
+        CAD: 1.38,
+        AUD: 1.52,
+        NZD: 1.74,
+        CNY: 7.07,
+        HKD: 7.78,
+        SGD: 1.29,
+        INR: 89.5,
+        KRW: 1470,
+        SEK: 9.4,
+        NOK: 10.1,
+        DKK: 6.42,
+        PLN: 3.64,
+        MXN: 18.3,
+        BRL: 5.35,
+        ZAR: 17.1,
+    },
+};
+
+export const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR',
+    '₩': 'KRW',
+};
+
+// Spelled-out names; "pounds" is left to the mass unit
+const CURRENCY_NAMES = {
+    dollar: 'USD', dollars: 'USD',
+    euro: 'EUR', euros: 'EUR',
+    yen: 'JPY',
+    franc: 'CHF', francs: 'CHF',
+    rupee: 'INR', rupees: 'INR',
+};
+
+// Codes must be written in capitals ("200 EUR") so ordinary words never turn
+// into money; names are case-insensitive.
+export const lookupCurrency = (word, rates = DEFAULT_RATES) => {
+    if (/^[A-Z]{3}$/.test(word) && (word in rates.rates || word === rates.base)) return word;
+    return CURRENCY_NAMES[word.toLowerCase()] || null;
+};
+
+const rateOf = (code, rates) => {
+    if (code === rates.base) return 1;
+    const rate = Number(rates.rates[code]);
+    if (!Number.isFinite(rate) || rate <= 0) throw new CalcError('unknown-rate', `No exchange rate for ${code}`);
+    return rate;
+};
+
+export const convertCurrency = (amount, from, to, rates = DEFAULT_RATES) => {
+    if (from === to) return amount;
+    return amount / rateOf(from, rates) * rateOf(to, rates);
+};
+
+// convertCurrency on an exact Rational amount; the rates are taken as the
+// decimals they are written as
+export const convertCurrencyExact = (amount, from, to, rates = DEFAULT_RATES) => {
+    if (from === to) return amount;
+    return R.mul(R.div(amount, R.fromNumber(rateOf(from, rates))), R.fromNumber(rateOf(to, rates)));
+};
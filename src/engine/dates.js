@@ -0,0 +1,172 @@
+import { CalcError } from './errors';
+import { convertAmount, sameDims } from './units';
+
+// Dates, times and durations. A date is an engine value with format 'date'
+// or 'datetime' whose `value` is wall-clock milliseconds stored as if UTC
+// ("2026-12-01" is Date.UTC(2026, 11, 1)), so calendar maths never trips over
+// daylight saving. A time of day has format 'time' and holds milliseconds
+// since midnight. Durations are ordinary time quantities ("3 weeks"), plus
+// the 'workday' unit which skips weekends when added to a date.
+
+const MS_PER_DAY = 86400000;
+const MS_PER_HOUR = 3600000;
+// The furthest a Date reaches either side of 1970
+const MAX_DATE_MS = 8.64e15;
+
+export const DATE_FORMATS = new Set(['date', 'datetime', 'time']);
+
+export const isDateValue = (v) => DATE_FORMATS.has(v?.format);
+
+export const MONTHS = {
+    jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+    may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+    sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11,
+};
+
+export const WEEKDAYS = {
+    sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6,
+};
+
+export const DATE_KEYWORDS = new Set(['today', 'now', 'tomorrow', 'yesterday']);
+
+const wallClock = (now) => Date.UTC(
+    now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes()
+);
+
+export const startOfDay = (ms) => Math.floor(ms / MS_PER_DAY) * MS_PER_DAY;
+
+export const makeDate = (year, month, day, hour = null, minute = 0) => {
+    const ms = Date.UTC(year, month, day, hour ?? 0, minute);
+    const d = new Date(ms);
+    if (d.getUTCMonth() !== ((month % 12) + 12) % 12 || d.getUTCDate() !== day) {
+        throw new CalcError('invalid-date', 'Not a valid calendar date');
+    }
+    return { value: ms, format: hour === null ? 'date' : 'datetime' };
+};
+
+export const keywordDate = (name, now) => {
+    const clock = wallClock(now);
+    const today = startOfDay(clock);
+    if (name === 'now') return { value: clock, format: 'datetime' };
+    if (name === 'tomorrow') return { value: today + MS_PER_DAY, format: 'date' };
+    if (name === 'yesterday') return { value: today - MS_PER_DAY, format: 'date' };
+    return { value: today, format: 'date' };
+};
+
+// "next friday" is strictly after today, "last friday" strictly before,
+// "this friday" is today or later this week.
+export const weekdayDate = (which, weekday, now) => {
+    const today = startOfDay(wallClock(now));
+    const current = new Date(today).getUTCDay();
+    let delta = weekday - current;
+    if (which === 'next') delta = delta <= 0 ? delta + 7 : delta;
+    else if (which === 'last') delta = delta >= 0 ? delta - 7 : delta;
+    else if (delta < 0) delta += 7;
+    return { value: today + delta * MS_PER_DAY, format: 'date' };
+};
+
+const isWeekend = (ms) => {
+    const day = new Date(ms).getUTCDay();
+    return day === 0 || day === 6;
+};
+
+const addMonths = (ms, months) => {
+    const d = new Date(ms);
+    const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1, d.getUTCHours(), d.getUTCMinutes()));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+    return target.getTime();
+};
+
+// Every 7 days hold 5 workdays, whatever the day they start from, so whole
+// weeks are counted and only the last few days are walked
+const addWorkdays = (ms, count) => {
+    if (!Number.isInteger(count)) throw new CalcError('unit-mismatch', 'Workdays must be a whole number');
+    if (count === 0) return ms;
+    const step = count < 0 ? -1 : 1;
+    const weeks = Math.floor((Math.abs(count) - 1) / 5);
+    let result = ms + step * weeks * 7 * MS_PER_DAY;
+    for (let left = Math.abs(count) - weeks * 5; left > 0;) {
+        result += step * MS_PER_DAY;
+        if (!isWeekend(result)) left--;
+    }
+    return result;
+};
+
+const isDuration = (v) => v.unit && (sameDims(v.unit, { s: 1 }) || sameDims(v.unit, { workday: 1 }));
+
+// date ± duration. Whole months and years move along the calendar
+// (Jan 31 + 1 month is Feb 28); workdays skip Saturdays and Sundays.
+export const shiftDate = (date, duration, sign) => {
+    if (!isDuration(duration)) {
+        throw new CalcError('unit-mismatch', 'Add a duration to a date, e.g. "3 days"');
+    }
+    const amount = sign * duration.value;
+    const [name] = Object.keys(duration.unit);
+    const single = Object.keys(duration.unit).length === 1 && duration.unit[name] === 1;
+    let value;
+    if (single && name === 'workday') value = addWorkdays(date.value, amount);
+    else if (single && (name === 'month' || name === 'year') && Number.isInteger(amount)) {
+        value = addMonths(date.value, name === 'year' ? amount * 12 : amount);
+    } else {
+        if (!sameDims(duration.unit, { s: 1 })) throw new CalcError('unit-mismatch', 'Workdays can only be added to a date');
+        value = date.value + convertAmount(amount, duration.unit, { ms: 1 });
+    }
+    if (!(Math.abs(value) <= MAX_DATE_MS)) throw new CalcError('invalid-date', 'The date is out of range');
+    const format = date.format === 'date' && value % MS_PER_DAY !== 0 ? 'datetime' : date.format;
+    return { value, format };
+};
+
+// Whole calendar months from a to b plus the fraction of the month after that
+const monthsBetween = (a, b) => {
+    if (b < a) return -monthsBetween(b, a);
+    const da = new Date(a);
+    const db = new Date(b);
+    let months = (db.getUTCFullYear() - da.getUTCFullYear()) * 12 + db.getUTCMonth() - da.getUTCMonth();
+    if (addMonths(a, months) > b) months--;
+    const anchor = addMonths(a, months);
+    const next = addMonths(a, months + 1);
+    return months + (b - anchor) / (next - anchor);
+};
+
+const workdaysBetween = (a, b) => {
+    const sign = b < a ? -1 : 1;
+    const from = Math.min(a, b);
+    const days = Math.ceil(Math.abs(b - a) / MS_PER_DAY);
+    const weeks = Math.floor(days / 7);
+    let count = weeks * 5;
+    for (let day = weeks * 7; day < days; day++) {
+        if (!isWeekend(from + day * MS_PER_DAY)) count++;
+    }
+    return sign * count;
+};
+
+// b - a as a duration. Dates give days, anything with a clock time gives hours.
+export const dateDifference = (b, a) => {
+    if (!isDateValue(a) || !isDateValue(b) || (a.format === 'time') !== (b.format === 'time')) {
+        throw new CalcError('unit-mismatch', 'Can only subtract a date from a date');
+    }
+    const ms = b.value - a.value;
+    if (a.format === 'date' && b.format === 'date') return { value: ms / MS_PER_DAY, unit: { day: 1 } };
+    return { value: ms / MS_PER_HOUR, unit: { h: 1 } };
+};
+
+// "days between A and B", "months until B": the span from a to b in `unit`
+export const spanBetween = (unit, a, b) => {
+    const name = Object.keys(unit)[0];
+    const diff = dateDifference(b, a);
+    if (name === 'workday') return workdaysBetween(a.value, b.value);
+    if (name === 'month') return monthsBetween(a.value, b.value);
+    if (name === 'year') return monthsBetween(a.value, b.value) / 12;
+    return convertAmount(diff.value, diff.unit, unit);
+};
+
+const FORMAT_OPTIONS = {
+    date: { dateStyle: 'medium', timeZone: 'UTC' },
+    datetime: { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' },
+    time: { timeStyle: 'short', timeZone: 'UTC' },
+};
+
+// Formatted in the user's locale
+export const formatDate = (ms, format, locale = undefined) => new Intl.DateTimeFormat(locale, FORMAT_OPTIONS[format]).format(ms);
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { shiftDate, spanBetween } from './dates';
+import { evaluateDocument } from './evaluate';
+
+const DAY = 86400000;
+const NOW = new Date(2026, 0, 15, 12, 0);
+const date = (y, m, d) => ({ value: Date.UTC(y, m, d), format: 'date' });
+const workdays = (n) => ({ value: n, unit: { workday: 1 } });
+const isWeekend = (ms) => [0, 6].includes(new Date(ms).getUTCDay());
+
+// Day by day, as the definition of a workday
+const walk = (ms, count) => {
+    let result = ms;
+    for (let left = Math.abs(count); left > 0;) {
+        result += Math.sign(count) * DAY;
+        if (!isWeekend(result)) left--;
+    }
+    return result;
+};
+const count = (a, b) => {
+    let n = 0;
+    for (let ms = Math.min(a, b); ms < Math.max(a, b); ms += DAY) if (!isWeekend(ms)) n++;
+    return b < a ? -n : n;
+};
+
+describe('workdays', () => {
+    // Two weeks of start days, so every weekday (and the weekend) is covered
+    const starts = Array.from({ length: 14 }, (_, i) => date(2026, 2, 1 + i));
+
+    it('adds and subtracts workdays like walking the calendar', () => {
+        starts.forEach((start) => {
+            [-23, -10, -5, -4, -1, 0, 1, 4, 5, 6, 10, 11, 37].forEach((n) => {
+                expect(shiftDate(start, workdays(n), 1).value).toBe(walk(start.value, n));
+            });
+        });
+    });
+
+    it('counts the workdays between two dates like walking the calendar', () => {
+        starts.forEach((start) => {
+            [0, 1, 5, 6, 7, 8, 13, 14, 15, 40].forEach((days) => {
+                const end = start.value + days * DAY;
+                expect(spanBetween({ workday: 1 }, start, { value: end, format: 'date' })).toBe(count(start.value, end));
+                expect(spanBetween({ workday: 1 }, { value: end, format: 'date' }, start)).toBe(count(end, start.value));
+            });
+        });
+    });
+
+    it('handles spans of many years at once', () => {
+        const start = date(2026, 0, 1);
+        expect(spanBetween({ workday: 1 }, start, date(2126, 0, 1))).toBe(count(start.value, Date.UTC(2126, 0, 1)));
+        expect(shiftDate(start, workdays(100000), 1).value).toBe(walk(start.value, 100000));
+    });
+
+    it('rejects a result outside the range of dates', () => {
+        const results = evaluateDocument('100000000 business days from today\n10000000 business days from today', { now: NOW });
+        expect(results[0]).toMatchObject({ type: 'error', error: { code: 'invalid-date' } });
+        expect(results[1].format).toBe('date');
+        expect(() => shiftDate(date(2026, 0, 1), { value: 1e9, unit: { day: 1 } }, 1)).toThrow('out of range');
+    });
+});
@@ -0,0 +1,140 @@
+import { DATE_KEYWORDS, MONTHS, WEEKDAYS } from './dates';
+import { SAFE_FUNCS } from './functions';
+import { nameKey } from './parser';
+import { parseUnitWord } from './units';
+
+// Per-line diagnostics. A line that fails to evaluate gets an error result
+// whose `error` is { code, message, start, end, suggestion }: the CalcError
+// code, a readable message, the columns of the offending text in the line (for
+// the editor underline) and an optional "did you mean" replacement.
+//
+// Parse errors on lines that read like prose ("Split evenly per person") are
+// not reported: those lines are meant for the AI layer.
+
+// Codes a line can have before the AI layer has had a look at it
+export const PARSE_ERRORS = new Set(['syntax', 'unknown-identifier', 'unknown-function']);
+
+// Levenshtein distance with an early exit once it exceeds `max`
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        if (Math.min(...row) > max) return max + 1;
+        prev = row;
+    }
+    return prev[b.length];
+};
+
+// The candidate closest to `text`, if it is close enough to be a typo
+const closest = (text, candidates) => {
+    const lower = text.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const max = Math.max(1, Math.floor(candidate.length / 3));
+        const distance = editDistance(lower, candidate.toLowerCase(), max);
+        if (distance <= max && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+// "Did you mean" for an unknown name starting at `start` in `expr`. Names may
+// span several words, so each one is compared with as many words of the
+// expression as it has.
+const suggestName = (expr, start, names) => {
+    const words = expr.slice(start).match(/^[A-Za-z_]\w*(?:\s+[A-Za-z_]\w*)*/)?.[0].split(/\s+/) || [];
+    let best = null;
+    for (const name of names) {
+        const count = name.split(/\s+/).length;
+        if (count > words.length) continue;
+        const match = closest(words.slice(0, count).join(' '), [name]);
+        if (match && (!best || match.length > best.length)) best = match;
+    }
+    return best;
+};
+
+const MATH_RE = /[\d+\-*/^()%=$€£¥₹₩]/;
+const MAX_UNKNOWN_WORDS = 1;
+
+// Words of the calculator grammar (see parser.js)
+export const GRAMMAR_WORDS = new Set([
+    'per', 'of', 'on', 'at', 'for', 'a', 'an', 'the', 'is', 'equals', 'equal', 'in', 'to', 'as',
+    'from', 'after', 'before', 'ago', 'between', 'until', 'since', 'and', 'what', 'off', 'top',
+    'percent', 'percentage', 'next', 'last', 'this', 'business', 'sum',
+]);
+
+const isGrammarWord = (word) => {
+    const lower = word.toLowerCase();
+    return GRAMMAR_WORDS.has(lower) || DATE_KEYWORDS.has(lower) || Object.hasOwn(MONTHS, lower) || Object.hasOwn(WEEKDAYS, lower)
+        || Object.hasOwn(SAFE_FUNCS, lower) || parseUnitWord(word) !== null;
+};
+
+// True when `expr` reads like a formula with a mistake rather than a sentence:
+// it has a number or an operator and at most one word that is neither one of
+// the document's names nor part of the grammar.
+export const looksLikeFormula = (expr, names = []) => {
+    if (!MATH_RE.test(expr)) return false;
+    const known = new Set(names.flatMap(name => name.toLowerCase().split(/\s+/)));
+    const words = (expr.match(/[A-Za-z]+/g) || []).filter(w => !known.has(w.toLowerCase()) && !isGrammarWord(w));
+    return words.length <= MAX_UNKNOWN_WORDS;
+};
+
+// Columns of `expr` inside the raw line. Tags and inline comments are cut out
+// of the expression first, so fall back to the start of the text.
+const offsetIn = (raw, expr) => {
+    const at = raw.indexOf(expr);
+    if (at >= 0) return at;
+    const head = expr.split(/\s+/)[0];
+    const near = head ? raw.indexOf(head) : -1;
+    return near >= 0 ? near : raw.length - raw.trimStart().length;
+};
+
+// Turns a CalcError raised while evaluating `expr` (written on line `raw`)
+// into a diagnostic. `names` are the display names defined in the document.
+export const diagnose = (err, raw, expr, names = []) => {
+    const base = offsetIn(raw, expr);
+    const hasRange = err.start !== null && err.start !== undefined;
+    let start = base + (hasRange ? err.start : 0);
+    let end = base + (hasRange ? Math.max(err.end ?? err.start, err.start + 1) : expr.length);
+    // "Unexpected end of expression" points past the text; underline its last character
+    const textEnd = raw.trimEnd().length;
+    const atEnd = start >= textEnd;
+    if (atEnd && textEnd > 0) {
+        start = textEnd - 1;
+        end = textEnd;
+    }
+
+    let suggestion = null;
+    if (err.code === 'unknown-identifier' && hasRange) suggestion = suggestName(expr, err.start, names);
+    if (err.code === 'unknown-function' && hasRange) {
+        suggestion = closest(expr.slice(err.start, err.end), Object.keys(SAFE_FUNCS));
+    }
+
+    let message = err.message;
+    // The name exists but is this line's own ("x = x + 1")
+    if (suggestion && nameKey(suggestion) === nameKey(expr.slice(err.start, err.start + suggestion.length))) {
+        message = `"${suggestion}" cannot refer to its own line`;
+        suggestion = null;
+    }
+    if (err.code === 'syntax' && hasRange && !/end of expression/.test(message)) message += atEnd ? ' at the end of the line' : ` at column ${start + 1}`;
+    if (suggestion) message += `. Did you mean "${suggestion}"?`;
+
+    return { code: err.code, message, start, end: Math.min(end, raw.length), suggestion };
+};
+
+// Columns to underline on `line` for a result's `error`, or null. Errors
+// without a position (circular references) cover the whole text.
+export const diagnosticRange = (line, error) => {
+    if (!error) return null;
+    if (Number.isInteger(error.start) && error.end > error.start) return [error.start, error.end];
+    const start = line.length - line.trimStart().length;
+    const end = line.trimEnd().length;
+    return end > start ? [start, end] : null;
+};
@@ -0,0 +1,12 @@
+// Raised by the tokenizer, parser and interpreter. `code` is machine readable
+// ('syntax', 'unknown-identifier', 'unknown-function', 'divide-by-zero', ...);
+// `start`/`end` are character offsets into the expression when known.
+export class CalcError extends Error {
+    constructor(code, message, { start = null, end = null } = {}) {
+        super(message);
+        this.name = 'CalcError';
+        this.code = code;
+        this.start = start;
+        this.end = end;
+    }
+}
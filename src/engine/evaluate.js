@@ -0,0 +1,505 @@
+import { CalcError } from './errors';
+import { evaluate } from './interpreter';
+import { nameKey, parse } from './parser';
+import { DEFAULT_RATES } from './currency';
+import { createGraph, cycleError, diffLines } from './graph';
+import { isDateValue } from './dates';
+import { add, aggregate, copyValue, makeValue } from './values';
+import { diagnose, looksLikeFormula, PARSE_ERRORS } from './diagnostics';
+
+// ==========================================
+// LOCAL SOULVER ENGINE
+// ==========================================
+// Shared by the classic UI (/) and NeoCalc (/neo). Takes the document text and
+// returns { [lineIndex]: result } for every line it could compute. Each line
+// is one of:
+//
+//   (blank), "// note"      ignored
+//   "# Heading"             header: '#' followed by a space; never a value
+//   "sum: food"             total of every line above tagged #food
+//   "subtotal"              total of the block above (up to a blank line or header)
+//   "total"                 total of the section above (up to the previous header);
+//                           also "average", "count", "min" and "max"
+//   "grand total"           whole document above; also "average of all", ...
+//   "average of #food"      the lines above tagged #food
+//   "Trip = total"          any aggregate can be named or labelled
+//   "Rent = $2,400"         variable; binds "Rent" for the whole document
+//   "Groceries: 150 #food"  labelled value; also binds "Groceries"
+//   "Rent * 12"             plain calculation
+//   "12 km in miles"        unit conversion (also "to" / "as")
+//   "€200 in USD"           currency conversion with the workspace rates
+//   anything else           left for the AI layer
+//
+// Tags are "#word" anywhere on a non-header line, including at its start
+// ("#food 120" is a tagged value, not a header). A line may carry several.
+// Aggregates and sum lines have type 'total' and are never aggregated again,
+// so a total over subtotals does not count anything twice. They skip dates.
+// Variable names may contain spaces ("Platform Fee Rate") and are matched
+// case-insensitively. "L{n}" (0-based) refers to any line, "L{prev}" to the
+// nearest line above with a value. A line may end in an anchor, "{^id}"
+// (before its tags and comment), that "L{^id}" refers to wherever the line
+// moves.
+//
+// Lines are evaluated through a dependency graph (graph.js), not top to
+// bottom: a name may be used above its definition, and when it is defined
+// more than once the nearest definition above wins. A line that cannot be
+// evaluated gets an error result ({ type: 'error', error }) with a diagnostic
+// (diagnostics.js): an unknown name, a syntax error, a division by zero, a
+// unit mismatch, a circular reference. Lines that read like prose are left
+// without a result for the AI layer instead. Every result lists the lines it
+// read in `inputs` (line indices, ascending).
+// Numbers may carry units ("3 hours", "20 MB/s", units.js); results keep their
+// `unit` and mixing dimensions is an error. Money ("$20", "€15", "200 CHF",
+// currency.js) is format 'currency' with its own ISO code in `currency`; mixed
+// currencies are converted into the left-hand one. Dates and times
+// ("2026-12-01", "Mar 1", "today", "next friday", "9:30am") can be shifted by
+// durations ("today + 3 weeks", "2 days before Deadline", "5 business days
+// from today") and measured ("days between Mar 1 and Jun 30", "weeks until
+// Deadline"); see dates.js. Formats follow values.js. Arithmetic is exact
+// (rational.js): every result carries its `exact` amount next to the float
+// `value`, and is only rounded for display (format.js).
+
+const TAG_RE = /#([A-Za-z][\w-]*)/g;
+const NAME_RE = /^[A-Za-z_][\w ]*$/;
+
+// True for text that can be defined as a variable or label name
+export const isName = (text) => NAME_RE.test(text);
+
+export const isHeaderLine = (line) => /^#+(\s|$)/.test(line.trim());
+
+export const isCommentLine = (line) => line.trim().startsWith('//');
+
+export const extractTags = (line) => {
+    if (isHeaderLine(line)) return [];
+    return [...line.matchAll(TAG_RE)].map(m => m[1].toLowerCase());
+};
+
+const removeTags = (line) => line.replace(TAG_RE, '').trim();
+
+// "Flight: 1200 {^trip}" -> { body: "Flight: 1200", anchor: "trip" }
+const ANCHOR_RE = /(?:^|\s)\{\^([A-Za-z][\w-]*)\}$/;
+export const splitAnchor = (body) => {
+    const m = body.match(ANCHOR_RE);
+    return m ? { body: body.slice(0, m.index).trimEnd(), anchor: m[1].toLowerCase() } : { body, anchor: null };
+};
+
+// Where the inline comment of `line` starts, or -1: "// note" or "# note" (a
+// '#' not followed by a word char, so tags survive)
+export const commentStart = (line) => {
+    const hash = line.search(/\s#(?!\w)/);
+    return hash >= 0 ? hash : line.indexOf('//');
+};
+
+const stripInlineComment = (line) => {
+    const cut = commentStart(line);
+    return cut >= 0 ? line.slice(0, cut).trimEnd() : line;
+};
+
+// Where a name used on line `idx` is defined: the nearest definition above it,
+// otherwise the first one at or below it (a forward reference). `defs` maps
+// nameKey to the ascending indices of the lines that define it.
+export const resolveName = (defs, key, idx) => {
+    const at = defs.get(key);
+    if (!at) return undefined;
+    const above = at.filter(j => j < idx);
+    return above.length ? above[above.length - 1] : at.find(j => j >= idx);
+};
+
+// The names a line may use. A name the line defines that is not defined
+// above it stays unbound there, so "Hours = 20 hours" reads the unit.
+export const visibleNames = (names, defs, idx, name) => {
+    const key = name && nameKey(name);
+    if (!key || resolveName(defs, key, idx) !== idx) return names;
+    const visible = new Set(names);
+    visible.delete(key);
+    return visible;
+};
+
+// A result other lines can use. Reading a line on (or behind) a cycle fails
+// too; reading a line with an error fails when `strict` (a name or line
+// reference) and skips it otherwise (totals and tag sums).
+const valueOf = (result, j, strict = true) => {
+    if (result?.error?.code === 'cycle') throw cycleError(result.error.cycle, 'Depends on a circular reference');
+    if (result?.error && strict) throw new CalcError('dependency', `Line ${j + 1} has an error`);
+    return Number.isFinite(result?.value) ? result : undefined;
+};
+
+// Lookups for line `idx` through the dependency graph. Everything read is
+// recorded in `deps` (see graph.js). `doc` is
+// { get, count, defs, anchors, tagsOf, kindOf, rates, now }: the graph's line
+// getter, the line count, name definitions, anchor definitions (see
+// anchorLines), the tags of each line and its kind for aggregates ('header',
+// 'blank', 'aggregate', or anything else).
+export const createEnv = (idx, deps, { get, count, defs, anchors = new Map(), tagsOf, kindOf, rates = DEFAULT_RATES, now = new Date() }) => ({
+    rates,
+    get now() {
+        deps.clock = true;
+        return now;
+    },
+    variable: (key) => {
+        deps.names.add(key);
+        const j = resolveName(defs, key, idx);
+        if (j === undefined) return undefined;
+        deps.lines.add(j);
+        return valueOf(get(j), j);
+    },
+    line: (ref) => {
+        if (ref === 'prev') {
+            // scan stays -1 when the walk runs off the top of the document
+            deps.scan = -1;
+            for (let j = idx - 1; j >= 0; j--) {
+                deps.lines.add(j);
+                const result = get(j);
+                if (result?.error) deps.scan = j;
+                const r = valueOf(result, j);
+                if (r) {
+                    deps.scan = j;
+                    return r;
+                }
+            }
+            return undefined;
+        }
+        if (typeof ref === 'string') {
+            const id = ref.slice(1);
+            deps.anchors.add(id);
+            const j = anchors.get(id);
+            if (j === undefined) return undefined;
+            deps.lines.add(j);
+            return valueOf(get(j), j);
+        }
+        deps.refs.add(ref);
+        if (ref < 0 || ref >= count) return undefined;
+        deps.lines.add(ref);
+        return valueOf(get(ref), ref);
+    },
+    // Adds up the tagged lines above `idx` in the unit and currency of the
+    // first one. Throws a CalcError when they have incompatible units.
+    tagSum: (tag) => {
+        deps.tags.add(tag);
+        let total = makeValue(0);
+        let count = 0;
+        for (let j = 0; j < idx; j++) {
+            if (!tagsOf(j).includes(tag)) continue;
+            deps.lines.add(j);
+            const r = valueOf(get(j), j, false);
+            if (!r) continue;
+            total = count ? add(total, r, { rates }) : copyValue(r);
+            count++;
+        }
+        return { ...total, count };
+    },
+    // total/subtotal/average/count/min/max over the section, block, document or
+    // tag above `idx` (see AGGREGATE_RE). Returns null when there is nothing to
+    // take an average, minimum or maximum of.
+    aggregate: ({ fn, scope, tag }) => {
+        let start = 0;
+        if (scope === 'section' || scope === 'block') {
+            let j = idx - 1;
+            while (j >= 0 && kindOf(j) !== 'header' && !(scope === 'block' && kindOf(j) === 'blank')) j--;
+            start = j + 1;
+        }
+        deps.scan = start - 1;
+        if (tag) deps.tags.add(tag);
+
+        const values = [];
+        for (let j = start; j < idx; j++) {
+            if (kindOf(j) === 'aggregate' || (tag && !tagsOf(j).includes(tag))) continue;
+            deps.lines.add(j);
+            const r = valueOf(get(j), j, false);
+            if (r && !isDateValue(r)) values.push(r);
+        }
+        if (!values.length && ['average', 'min', 'max'].includes(fn)) return null;
+        return aggregate(fn === 'subtotal' ? 'total' : fn, values, { rates });
+    },
+});
+
+// "total", "subtotal", "average of #food", "grand total", "Trip = max of all"
+const AGGREGATE_RE = /^(?:([A-Za-z_][\w ]*?)\s*([=:])\s*)?(grand\s+total|subtotal|total|average|avg|mean|count|min|max)(?:\s+of\s+(?:(all|everything)|#([A-Za-z][\w-]*)))?$/i;
+const AGGREGATE_FNS = { avg: 'average', mean: 'average' };
+const AGGREGATE_LABELS = { total: 'Total', subtotal: 'Subtotal', average: 'Average', count: 'Count', min: 'Min', max: 'Max' };
+
+const parseAggregate = (text) => {
+    const m = text.match(AGGREGATE_RE);
+    if (!m) return null;
+    const keyword = m[3].toLowerCase().replace(/\s+/g, ' ');
+    const grand = keyword === 'grand total';
+    const fn = grand ? 'total' : AGGREGATE_FNS[keyword] || keyword;
+    const tag = m[5]?.toLowerCase() || null;
+    const scope = tag ? 'tag' : grand || m[4] ? 'document' : fn === 'subtotal' ? 'block' : 'section';
+    const label = tag ? `${AGGREGATE_LABELS[fn]} of #${tag}` : grand ? 'Grand total' : scope === 'document' ? `${AGGREGATE_LABELS[fn]} of all` : AGGREGATE_LABELS[fn];
+    return {
+        kind: 'aggregate',
+        aggregate: { fn, scope, tag },
+        name: m[1] ? m[1].trim() : undefined,
+        label,
+        expr: text.slice(m[1] ? text.search(/[=:]/) + 1 : 0).trim(),
+        tags: []
+    };
+};
+
+// The aggregate written on a line ({ fn, scope, tag }), or null
+export const aggregateOf = (line) => parseAggregate(splitAnchor(stripInlineComment(line.trim())).body)?.aggregate || null;
+
+// Parses and evaluates one expression against the document `names` (a Set of
+// nameKeys). Returns { value } (see values.js) or { error } with the CalcError
+// when the text is not a valid, finite calculation. Cycle errors propagate so
+// the graph can report them.
+export const tryEvaluate = (expr, names, env) => {
+    try {
+        const res = evaluate(parse(expr, names, { rates: env.rates }), env);
+        if (!Number.isFinite(res.value)) return { error: new CalcError('invalid-number', 'The result is not a real number') };
+        return { value: res };
+    } catch (err) {
+        if (err instanceof CalcError && err.code !== 'cycle') return { error: err };
+        throw err;
+    }
+};
+
+// Like tryEvaluate, but null instead of an error
+export const evaluateExpression = (expr, names, env) => tryEvaluate(expr, names, env).value || null;
+
+// The result shown on a line that is on, or depends on, a circular reference.
+// `nameOf(i)` labels the lines of the cycle in the message.
+export const cycleResult = (idx, err, nameOf, extra) => {
+    const at = err.cycle.indexOf(idx);
+    const message = at >= 0
+        ? `Circular reference: ${[...err.cycle.slice(at), ...err.cycle.slice(0, at), idx].map(nameOf).join(' → ')}`
+        : err.message;
+    return {
+        value: null,
+        type: 'error',
+        error: { code: 'cycle', message, cycle: err.cycle },
+        explanation: message,
+        ...extra
+    };
+};
+
+// Splits a line into what it defines and the expression to evaluate
+const classifyLine = (raw) => {
+    const trimmed = raw.trim();
+    if (!trimmed) return { kind: 'blank', tags: [] };
+    if (isHeaderLine(raw)) return { kind: 'header', tags: [] };
+    if (isCommentLine(raw)) return { kind: 'comment', tags: [] };
+
+    // sum: tag (sum lines carry no tags, so a later sum never double counts them)
+    const head = splitAnchor(stripInlineComment(trimmed));
+    const sumMatch = head.body.match(/^sum\s*:\s*#?([A-Za-z][\w-]*)\s*$/i);
+    if (sumMatch) return { kind: 'sum', tag: sumMatch[1].toLowerCase(), tags: [], anchor: head.anchor };
+
+    // Aggregates; a "#tag" after "of" is a filter, not a tag of the line
+    const aggregateLine = parseAggregate(head.body);
+    if (aggregateLine) return { ...aggregateLine, anchor: head.anchor };
+
+    const tags = extractTags(raw);
+    const { body, anchor } = splitAnchor(removeTags(stripInlineComment(trimmed)));
+
+    // Name = Expr
+    const eqIdx = body.indexOf('=');
+    if (eqIdx > 0 && NAME_RE.test(body.slice(0, eqIdx).trim())) {
+        return { kind: 'assign', name: body.slice(0, eqIdx).trim(), expr: body.slice(eqIdx + 1).trim(), tags, anchor };
+    }
+
+    // Label: Expr (e.g. "Flight: 1200")
+    const colonIdx = body.indexOf(':');
+    if (colonIdx > 0 && NAME_RE.test(body.slice(0, colonIdx).trim())) {
+        return { kind: 'label', name: body.slice(0, colonIdx).trim(), expr: body.slice(colonIdx + 1).trim(), tags, anchor };
+    }
+
+    return { kind: 'expr', expr: body, tags, anchor };
+};
+
+// The anchor a line ends in ("{^trip}" -> 'trip'), or null
+export const lineAnchor = (line) => classifyLine(line).anchor || null;
+
+// Maps every anchor to the first line that carries it
+export const anchorLines = (lines) => {
+    const anchors = new Map();
+    lines.forEach((line, i) => {
+        const anchor = lineAnchor(line);
+        if (anchor && !anchors.has(anchor)) anchors.set(anchor, i);
+    });
+    return anchors;
+};
+
+const EXPLANATIONS = {
+    assign: (line) => `Set ${line.name}`,
+    label: (line) => line.name,
+    expr: (line) => line.tags.length ? `Tagged #${line.tags[0]}` : '',
+};
+
+const NO_VALUE = new Set(['blank', 'header', 'comment']);
+
+// The result shown on a line that could not be evaluated (see diagnostics.js)
+const errorResult = (line, error) => ({
+    value: null,
+    type: 'error',
+    error,
+    explanation: error.message,
+    formula: line.expr || '',
+    ...(line.name ? { name: line.name } : {}),
+    tags: line.tags,
+    source: 'local'
+});
+
+// For diagnostics, `raw` is the line as typed and `known` the display names
+// defined in the document
+const computeLine = (line, names, env, { raw, known }) => {
+    if (NO_VALUE.has(line.kind)) return null;
+    const fail = (err) => {
+        if (!(err instanceof CalcError) || err.code === 'cycle') throw err;
+        return errorResult(line, diagnose(err, raw, line.expr, known));
+    };
+
+    if (line.kind === 'aggregate') {
+        let res;
+        try {
+            res = env.aggregate(line.aggregate);
+        } catch (err) {
+            return fail(err);
+        }
+        if (!res) return null;
+        return {
+            value: res.value,
+            exact: res.exact,
+            type: 'total',
+            format: res.format,
+            unit: res.unit,
+            currency: res.currency,
+            explanation: line.label,
+            formula: line.expr,
+            ...(line.name ? { name: line.name } : {}),
+            tags: [],
+            source: 'local'
+        };
+    }
+
+    if (line.kind === 'sum') {
+        let sum;
+        try {
+            sum = env.tagSum(line.tag);
+        } catch (err) {
+            return fail(err);
+        }
+        const { value, exact, format, unit, currency, count } = sum;
+        return {
+            value,
+            exact,
+            type: 'total',
+            format,
+            unit,
+            currency,
+            explanation: count ? `Sum of #${line.tag}` : `No #${line.tag} found`,
+            formula: `sum(${line.tag})`,
+            tags: [],
+            source: 'local'
+        };
+    }
+
+    if (!line.expr) return null;
+    const { value: res, error } = tryEvaluate(line.expr, names, env);
+    if (error) {
+        // Prose is left for the AI layer
+        if (PARSE_ERRORS.has(error.code) && !looksLikeFormula(line.expr, known)) return null;
+        return fail(error);
+    }
+    const type = line.kind === 'assign' ? 'variable' : 'calc';
+    return {
+        value: res.value,
+        exact: res.exact,
+        type,
+        format: res.format,
+        unit: res.unit,
+        currency: res.currency,
+        explanation: EXPLANATIONS[line.kind](line),
+        formula: line.expr,
+        ...(line.name ? { name: line.name } : {}),
+        tags: line.tags,
+        source: 'local'
+    };
+};
+
+const sameSet = (a, b) => a.size === b.size && [...a].every(x => b.has(x));
+
+// One evaluation of the whole document. With the state of the previous run,
+// only the lines downstream of an edit are recomputed; everything else keeps
+// its cached result. A change to the set of defined names (which changes how
+// every line parses) or to the rate table recomputes everything.
+const runDocument = (fullText, { rates, now }, previous) => {
+    const lines = fullText.split('\n');
+    const compiled = lines.map(classifyLine);
+
+    const defs = new Map();
+    compiled.forEach((line, i) => {
+        if (!line.name) return;
+        const key = nameKey(line.name);
+        if (!defs.has(key)) defs.set(key, []);
+        defs.get(key).push(i);
+    });
+    const names = new Set(defs.keys());
+    // A variable called "total" (or "count", ...) wins over the keyword
+    compiled.forEach((line, i) => {
+        if (line.kind === 'aggregate' && !line.name && names.has(nameKey(line.expr))) {
+            compiled[i] = { kind: 'expr', expr: line.expr, tags: extractTags(lines[i]), anchor: line.anchor };
+        }
+    });
+    const lineNames = compiled.map(line => line.name ? [nameKey(line.name)] : []);
+    const lineTags = compiled.map(line => line.tags);
+    const lineAnchors = compiled.map(line => line.anchor ? [line.anchor] : []);
+    const anchors = new Map();
+    compiled.forEach((line, i) => {
+        if (line.anchor && !anchors.has(line.anchor)) anchors.set(line.anchor, i);
+    });
+
+    let reuse;
+    if (previous && previous.rates === rates && sameSet(previous.nameSet, names)) {
+        const { dirty, oldIndex, remap } = diffLines(previous, lines, {
+            names: lineNames,
+            tags: lineTags,
+            anchors: lineAnchors,
+            clockChanged: previous.now.getTime() !== now.getTime()
+        });
+        // Cycle errors name line numbers, so they are always recomputed
+        reuse = (i) => {
+            const k = oldIndex.get(i);
+            if (dirty.has(i) || previous.results[k]?.error) return null;
+            return { result: previous.results[k], deps: remap(previous.deps[k]) };
+        };
+    }
+
+    const known = compiled.filter(line => line.name).map(line => line.name);
+    const nameOf = (i) => compiled[i].name || `line ${i + 1}`;
+    const kindOf = (j) => (compiled[j].kind === 'sum' ? 'aggregate' : compiled[j].kind);
+    const graph = createGraph(lines.length, (i, deps) => {
+        const env = createEnv(i, deps, { get: graph.get, count: lines.length, defs, anchors, tagsOf: (j) => lineTags[j], kindOf, rates, now });
+        try {
+            return computeLine(compiled[i], visibleNames(names, defs, i, compiled[i].name), env, { raw: lines[i], known });
+        } catch (err) {
+            if (!(err instanceof CalcError) || err.code !== 'cycle') throw err;
+            return cycleResult(i, err, nameOf, { formula: compiled[i].expr || '', tags: compiled[i].tags, source: 'local' });
+        }
+    }, reuse);
+    const { results, deps } = graph.run();
+    // The lines each result read, for tracing (see trace.js)
+    Object.keys(results).forEach((i) => {
+        results[i] = { ...results[i], inputs: [...deps[i].lines].sort((a, b) => a - b) };
+    });
+
+    return { results, state: { lines, names: lineNames, tags: lineTags, anchors: lineAnchors, nameSet: names, deps, results, rates, now } };
+};
+
+// `rates` is the workspace exchange rate table (see currency.js); `now` is the
+// clock for "today", "now" and dates written without a year.
+export const evaluateDocument = (fullText, { rates = DEFAULT_RATES, now = new Date() } = {}) => (
+    runDocument(fullText, { rates, now }, null).results
+);
+
+// Like evaluateDocument, but remembers the last run so that an edit only
+// recomputes the lines that depend on it. One evaluator per open document.
+export const createDocumentEvaluator = () => {
+    let previous = null;
+    return (fullText, { rates = DEFAULT_RATES, now = new Date() } = {}) => {
+        const { results, state } = runDocument(fullText, { rates, now }, previous);
+        previous = state;
+        return results;
+    };
+};
@@ -0,0 +1,176 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+
+const run = (...lines) => evaluateDocument(lines.join('\n'));
+
+describe('evaluateDocument', () => {
+    it('returns a result for every line it can compute, keyed by line index', () => {
+        const results = run('2 + 3', '', 'just some prose', '10 * 4');
+        expect(Object.keys(results)).toEqual(['0', '3']);
+        expect(results[0]).toMatchObject({ value: 5, type: 'calc', format: 'number', source: 'local' });
+        expect(results[3].value).toBe(40);
+    });
+
+    describe('headers and comments', () => {
+        it('never gives a header or a comment a value', () => {
+            const results = run('# Budget', '## 2026', '// 12 + 3', '4');
+            expect(results[0]).toBeUndefined();
+            expect(results[1]).toBeUndefined();
+            expect(results[2]).toBeUndefined();
+            expect(results[3].value).toBe(4);
+        });
+
+        it('ignores a comment after a value', () => {
+            expect(run('12 + 3 // a dozen and three')[0].value).toBe(15);
+        });
+    });
+
+    describe('tags', () => {
+        it('reads a tag at the start of a line as a tagged value, not a header', () => {
+            const results = run('#food 120', 'sum: food');
+            expect(results[0]).toMatchObject({ value: 120, tags: ['food'] });
+            expect(results[1].value).toBe(120);
+        });
+
+        it('sums every line above with the tag, wherever the tag is written', () => {
+            const results = run('Groceries: 150 #food', '#food 30', 'Rent: 2000 #home', '20 #food #fun', 'sum: food', 'sum: #fun');
+            expect(results[4]).toMatchObject({ value: 200, type: 'total', explanation: 'Sum of #food' });
+            expect(results[5].value).toBe(20);
+        });
+
+        it('gives a sum the format of the values it adds up', () => {
+            const results = run('$12.50 #lunch', '$7.50 #lunch', 'sum: lunch', '3 #count', '4 #count', 'sum: count');
+            expect(results[2]).toMatchObject({ value: 20, format: 'currency' });
+            expect(results[5]).toMatchObject({ value: 7, format: 'number' });
+        });
+
+        it('gives a sum with no tagged lines a value of zero', () => {
+            expect(run('5', 'sum: travel')[1]).toMatchObject({ value: 0, explanation: 'No #travel found' });
+        });
+
+        it('does not count sum lines in later sums', () => {
+            const results = run('10 #a', 'sum: a', '5 #a', 'sum: a');
+            expect(results[3].value).toBe(15);
+        });
+    });
+
+    describe('variables', () => {
+        it('binds assignments and labels for the lines below', () => {
+            const results = run('Rent = $2,400', 'Utilities: $150', 'Rent + Utilities');
+            expect(results[0]).toMatchObject({ value: 2400, type: 'variable', name: 'Rent', format: 'currency' });
+            expect(results[1]).toMatchObject({ value: 150, type: 'calc', name: 'Utilities' });
+            expect(results[2]).toMatchObject({ value: 2550, format: 'currency' });
+        });
+
+        it('matches names with spaces case-insensitively', () => {
+            expect(run('Platform Fee Rate = 3', 'platform fee rate * 2')[1].value).toBe(6);
+        });
+
+        it('uses the latest definition when a name is defined twice', () => {
+            const results = run('x = 1', 'x + 1', 'x = 10', 'x + 1');
+            expect(results[1].value).toBe(2);
+            expect(results[3].value).toBe(11);
+        });
+    });
+
+    describe('aggregates', () => {
+        it('totals the section above, and the whole document without counting totals twice', () => {
+            const results = run('# Rent', '1200', '100', 'total', '# Food', '300', '50', 'subtotal', 'grand total');
+            expect(results[3]).toMatchObject({ value: 1300, type: 'total' });
+            expect(results[7].value).toBe(350);
+            expect(results[8].value).toBe(1650);
+        });
+
+        it('takes the average, count, minimum and maximum', () => {
+            const results = run('$40', '$10', '$25', 'average', 'count', 'min', 'max');
+            expect([3, 4, 5, 6].map(i => results[i].value)).toEqual([25, 3, 10, 40]);
+            expect(results[6]).toMatchObject({ format: 'currency', currency: 'USD' });
+        });
+
+        it.each([
+            [['5', '$3', 'max'], 'Cannot compare a number and USD'],
+            [['$5', '3', 'min'], 'Cannot compare USD and a number'],
+            [['max(5, $3)'], 'Cannot compare a number and USD'],
+        ])('rejects comparing money with a plain number: %j', (lines, message) => {
+            expect(run(...lines)[lines.length - 1]).toMatchObject({ type: 'error', error: { code: 'unit-mismatch', message } });
+        });
+
+        it('compares money in different currencies', () => {
+            expect(run('$5', '€3', 'max')[2]).toMatchObject({ value: 5, currency: 'USD' });
+        });
+    });
+
+    describe('expressions', () => {
+        it.each([
+            ['2 + 3 * 4', 14],
+            ['(2 + 3) * 4', 20],
+            ['10 - 4 - 3', 3],
+            ['100 / 10 / 5', 2],
+            ['2 * 3 ^ 2', 18],
+            ['2 ^ 3 ^ 2', 512],
+            ['-2 ^ 2', -4],
+            ['50%', 0.5],
+            ['sqrt(16) + abs(-3)', 7],
+            ['max(1, 5, 3) * 2', 10],
+            ['round(2.567, 2)', 2.57],
+        ])('evaluates %s to %s', (expr, value) => {
+            expect(run(expr)[0].value).toBe(value);
+        });
+
+        it('reads other lines by index and the previous value', () => {
+            const results = run('4', '', 'L{0} * 2', 'L{prev} + 1');
+            expect(results[2].value).toBe(8);
+            expect(results[3].value).toBe(9);
+        });
+
+        it('reads an anchored line wherever it moves', () => {
+            const results = run('Base: 300 {^base} #fees', '', 'L{^base} * 2');
+            expect(results[0]).toMatchObject({ value: 300, tags: ['fees'] });
+            expect(results[2].value).toBe(600);
+            expect(run('# Moved', '300 {^base}', 'L{^BASE} + 1')[2].value).toBe(301);
+        });
+
+        it('reads "^" at the end of a line as a power, not an anchor', () => {
+            expect(run('years = 3', 'Growth = 1.05 ^years')[1].exact.toJSON()).toBe('9261/8000');
+            expect(run('2 ^2')[0].value).toBe(4);
+        });
+
+        it.each([
+            ['2 +* 3', 'syntax'],
+            ['foo(2)', 'unknown-function'],
+            ['alert(1)', 'unknown-function'],
+            ['1 > 0 ? 1 : 2', 'syntax'],
+            ['Price * 2', 'unknown-identifier'],
+        ])('rejects %s with an error (%s)', (expr, code) => {
+            expect(run(expr)[0]).toMatchObject({ type: 'error', error: { code } });
+        });
+
+        it('never runs anything outside the grammar as code', () => {
+            const results = run('constructor.constructor("globalThis.pwned = 1")()', 'window.location = "x"', 'process.exit()');
+            expect(globalThis.pwned).toBeUndefined();
+            Object.values(results).forEach(res => expect(res.value).toBeNull());
+        });
+    });
+
+    describe('percentages', () => {
+        it.each([
+            ['$80 - 5%', 76, 'currency'],
+            ['$80 + 5%', 84, 'currency'],
+            ['20% of 150', 30, 'number'],
+            ['15% of $200', 30, 'currency'],
+            ['5% off $80', 76, 'currency'],
+            ['10% on 400', 440, 'number'],
+            ['10% on top of 400', 440, 'number'],
+            ['$50 as a % of $200', 0.25, 'percent'],
+            ['30 as a % of 120', 0.25, 'percent'],
+            ['what % is 30 of 120', 0.25, 'percent'],
+            ['10% + 5%', 0.15, 'percent'],
+        ])('evaluates %s to %s (%s)', (expr, value, format) => {
+            expect(run(expr)[0]).toMatchObject({ value, format });
+        });
+
+        it('keeps percentages exact', () => {
+            expect(run('3% of $19.99')[0].exact.toJSON()).toBe('5997/10000');
+        });
+    });
+});
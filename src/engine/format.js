@@ -0,0 +1,58 @@
+import { DATE_FORMATS, formatDate } from './dates';
+import * as R from './rational';
+import { formatUnit } from './units';
+
+// Display formatting for line results. Values stay exact in the engine and are
+// only rounded here. A unit is appended after the number ("12 km", "25 MB/s"),
+// or directly for a rate ("$150.00/h"). Money is shown in its own currency;
+// dates and times in the user's locale.
+//
+// `options` are the document's display settings plus the exact amount:
+//   exact      the Rational to show (defaults to `val`)
+//   precision  fraction digits, or null for the default: the currency's own
+//              digits for money ($1.50, ¥150), up to 2 otherwise
+//   rounding   one of ROUNDING_MODES (rational.js), 'half-up' by default
+// An explicit precision is fixed for money and a maximum for everything else.
+
+export const DEFAULT_DISPLAY = { precision: null, rounding: 'half-up' };
+
+const currencyFormats = new Map();
+
+const currencyFormat = (currency, digits) => {
+    const key = `${currency}:${digits}`;
+    if (!currencyFormats.has(key)) {
+        const options = { style: 'currency', currency };
+        if (digits !== null) Object.assign(options, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        currencyFormats.set(key, new Intl.NumberFormat('en-US', options));
+    }
+    return currencyFormats.get(key);
+};
+
+// Rounds in exact arithmetic and hands Intl the decimal string, so nothing is
+// rounded twice
+const roundedText = (exact, digits, rounding) => R.toFixed(R.round(exact, digits, rounding), digits);
+
+export const formatValue = (val, format, unit = null, currency = 'USD', options = {}) => {
+    if (!Number.isFinite(val)) return '';
+    if (DATE_FORMATS.has(format)) return formatDate(val, format);
+    const { precision = null, rounding = 'half-up' } = options;
+    let exact = options.exact ?? R.fromNumber(val);
+
+    let text;
+    let shown;
+    if (format === 'currency') {
+        const formatter = currencyFormat(currency || 'USD', precision);
+        shown = roundedText(exact, formatter.resolvedOptions().maximumFractionDigits, rounding);
+        text = formatter.format(shown);
+    } else {
+        if (format === 'percent') exact = R.mul(exact, R.fromNumber(100));
+        const digits = precision ?? 2;
+        shown = roundedText(exact, digits, rounding);
+        text = new Intl.NumberFormat(undefined, { maximumFractionDigits: digits }).format(shown);
+        if (format === 'percent') text += '%';
+    }
+
+    const unitText = formatUnit(unit, Number(shown));
+    if (!unitText) return text;
+    return unitText.startsWith('/') ? text + unitText : `${text} ${unitText}`;
+};
@@ -0,0 +1,6 @@
+// Functions callable from calculator expressions, e.g. "round(Rent / 3, 2)".
+export const SAFE_FUNCS = {
+    sqrt: Math.sqrt, abs: Math.abs, min: Math.min, max: Math.max,
+    round: (x, d = 0) => { const p = Math.pow(10, d); return Math.round(x * p) / p; },
+    floor: Math.floor, ceil: Math.ceil, pow: Math.pow, log: Math.log, exp: Math.exp,
+};
@@ -0,0 +1,162 @@
+import { CalcError } from './errors';
+
+// Dependency graph for a document. Lines are evaluated on demand: a line that
+// reads a variable, a line reference or a tag evaluates the lines it needs
+// first, so a definition may come after its use and lines are computed in a
+// topological order of their dependencies. While a line is computed,
+// everything it reads is recorded in its deps:
+//
+//   lines   indices of the lines whose results it read
+//   names   variable names it looked up (nameKey)
+//   tags    tags it summed
+//   refs    explicit "L{n}" indices, whose meaning changes when lines move
+//   anchors "L{^id}" anchors it looked up
+//   scan    the line an "L{prev}" lookup stopped at (-1: none found)
+//   clock   whether it read the current date
+//
+// Reaching a line that is still being computed means a cycle; the 'cycle'
+// CalcError carries the indices on the cycle in `err.cycle`.
+
+export const emptyDeps = () => ({
+    lines: new Set(),
+    names: new Set(),
+    tags: new Set(),
+    refs: new Set(),
+    anchors: new Set(),
+    scan: null,
+    clock: false,
+});
+
+export const cycleError = (cycle, message = 'Circular reference') => {
+    const err = new CalcError('cycle', message);
+    err.cycle = cycle;
+    return err;
+};
+
+// `compute(i, deps)` returns the result for line i (or null) and records what
+// it read. `reuse(i)` may return a cached { result, deps } to skip computing.
+export const createGraph = (count, compute, reuse = () => null) => {
+    const results = {};
+    const deps = [];
+    const state = [];
+    const stack = [];
+
+    const get = (i) => {
+        if (state[i] === 'done') return results[i];
+        if (state[i] === 'pending') throw cycleError(stack.slice(stack.indexOf(i)));
+
+        const cached = reuse(i);
+        if (cached) {
+            if (cached.result) results[i] = cached.result;
+            deps[i] = cached.deps;
+            state[i] = 'done';
+            return results[i];
+        }
+
+        state[i] = 'pending';
+        stack.push(i);
+        deps[i] = emptyDeps();
+        try {
+            const result = compute(i, deps[i]);
+            if (result) results[i] = result;
+        } finally {
+            stack.pop();
+            state[i] = 'done';
+        }
+        return results[i];
+    };
+
+    const run = () => {
+        for (let i = 0; i < count; i++) get(i);
+        return { results, deps };
+    };
+
+    return { get, run };
+};
+
+// Lines that must be recomputed after an edit. `previous` is the last run
+// ({ lines, deps, names, tags, anchors }); lines keep their cached result unless they
+// changed, moved relative to something they read, or read (directly or
+// transitively) a line that will be recomputed. Returns { dirty, oldIndex }:
+// the set of new indices to recompute and a map from new to old index for
+// the lines that were kept.
+export const diffLines = (previous, lines, { names, tags, anchors, clockChanged }) => {
+    const old = previous.lines;
+    let p = 0;
+    while (p < old.length && p < lines.length && old[p] === lines[p]) p++;
+    let s = 0;
+    while (s < old.length - p && s < lines.length - p && old[old.length - 1 - s] === lines[lines.length - 1 - s]) s++;
+    const oldEnd = old.length - s;
+    const newEnd = lines.length - s;
+    const delta = lines.length - old.length;
+
+    const toNew = (k) => (k < p ? k : k >= oldEnd ? k + delta : -1);
+    const keepsMeaning = (n) => n < p || (delta === 0 && n >= oldEnd);
+
+    // Names, tags and anchors defined or used by the edited lines, before and after
+    const changedNames = new Set();
+    const changedTags = new Set();
+    const changedAnchors = new Set();
+    for (let k = p; k < oldEnd; k++) {
+        previous.names[k]?.forEach(n => changedNames.add(n));
+        previous.tags[k]?.forEach(t => changedTags.add(t));
+        previous.anchors[k]?.forEach(a => changedAnchors.add(a));
+    }
+    for (let i = p; i < newEnd; i++) {
+        names[i]?.forEach(n => changedNames.add(n));
+        tags[i]?.forEach(t => changedTags.add(t));
+        anchors[i]?.forEach(a => changedAnchors.add(a));
+    }
+
+    const dirtyOld = new Set();
+    for (let k = 0; k < old.length; k++) {
+        if (k >= p && k < oldEnd) continue;
+        const d = previous.deps[k];
+        if (!d) continue;
+        const stale = [...d.lines].some(j => toNew(j) < 0)
+            || [...d.refs].some(n => !keepsMeaning(n))
+            || (d.scan !== null && d.scan < oldEnd && k >= p)
+            || [...d.names].some(n => changedNames.has(n))
+            || [...d.tags].some(t => changedTags.has(t))
+            || [...d.anchors].some(a => changedAnchors.has(a))
+            || (d.clock && clockChanged);
+        if (stale) dirtyOld.add(k);
+    }
+
+    // Everything downstream of a stale line is stale too
+    const dependents = new Map();
+    previous.deps.forEach((d, k) => d?.lines.forEach(j => {
+        if (!dependents.has(j)) dependents.set(j, []);
+        dependents.get(j).push(k);
+    }));
+    const queue = [...dirtyOld];
+    for (let k = p; k < oldEnd; k++) queue.push(k);
+    while (queue.length) {
+        const k = queue.pop();
+        for (const dep of dependents.get(k) || []) {
+            if (dep >= p && dep < oldEnd) continue;
+            if (!dirtyOld.has(dep)) {
+                dirtyOld.add(dep);
+                queue.push(dep);
+            }
+        }
+    }
+
+    const dirty = new Set();
+    for (let i = p; i < newEnd; i++) dirty.add(i);
+    dirtyOld.forEach(k => dirty.add(toNew(k)));
+
+    const oldIndex = new Map();
+    for (let k = 0; k < old.length; k++) {
+        const i = toNew(k);
+        if (i >= 0 && !dirty.has(i)) oldIndex.set(i, k);
+    }
+
+    const remap = (d) => ({
+        ...d,
+        lines: new Set([...d.lines].map(toNew)),
+        scan: d.scan === null ? null : toNew(d.scan),
+    });
+
+    return { dirty, oldIndex, remap };
+};
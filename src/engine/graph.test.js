@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { createDocumentEvaluator, evaluateDocument } from './evaluate';
+
+const NOW = new Date(2026, 0, 15, 12, 0);
+const full = (lines) => evaluateDocument(lines.join('\n'), { now: NOW });
+
+// Feeds every version of a document to one evaluator and compares each
+// incremental result with a fresh evaluation
+const replay = (versions) => {
+    const evaluate = createDocumentEvaluator();
+    versions.forEach((lines) => {
+        expect(evaluate(lines.join('\n'), { now: NOW })).toEqual(full(lines));
+    });
+};
+
+describe('dependency graph', () => {
+    it('resolves names used above their definition', () => {
+        const results = full(['Total = A + B', 'A = 2', 'B = 3']);
+        expect(results[0].value).toBe(5);
+    });
+
+    it('uses the nearest definition above, or else the first below', () => {
+        const results = full(['x + 1', 'x = 1', 'x + 1', 'x = 10', 'x + 1']);
+        expect([results[0].value, results[2].value, results[4].value]).toEqual([2, 2, 11]);
+    });
+
+    it('reports a cycle on every line in it', () => {
+        const results = full(['a = b + 1', 'b = c + 1', 'c = a + 1', 'd = 5']);
+        [0, 1, 2].forEach((i) => {
+            expect(results[i]).toMatchObject({ type: 'error', error: { code: 'cycle' } });
+            expect(results[i].error.message).toMatch(/^Circular reference: /);
+        });
+        expect(results[0].error.message).toBe('Circular reference: a → b → c → a');
+        expect(results[3].value).toBe(5);
+    });
+
+    it('reports a line reference to itself as a cycle', () => {
+        expect(full(['1', 'L{1} + 1'])[1].error.code).toBe('cycle');
+    });
+
+    it('reports lines that read a cycle', () => {
+        const results = full(['a = b', 'b = a', 'a * 2']);
+        expect(results[2].type).toBe('error');
+    });
+});
+
+describe('incremental evaluation', () => {
+    const base = ['A = 3', 'B = A * 2', '# Costs', 'q: 2 #t', 'r: B #t', 'sum: t', 'L{prev} + 1', 'L{0} * 10', 'total'];
+
+    it('matches a full evaluation after edits', () => {
+        replay([
+            base,
+            base.map(line => (line === 'A = 3' ? 'A = 5' : line)),
+            base.map(line => (line === 'q: 2 #t' ? 'q: 2' : line)),
+            base.map(line => (line === 'B = A * 2' ? 'B = C' : line)),
+        ]);
+    });
+
+    it('matches a full evaluation after inserts and deletes', () => {
+        replay([
+            base,
+            ['C = 1', ...base],
+            ['C = 1', ...base.slice(0, 4), 's: 4 #t', ...base.slice(4)],
+            ['C = 1', ...base.slice(0, 4), 's: 4 #t', ...base.slice(5)],
+            base.slice(1),
+            base,
+        ]);
+    });
+
+    it('matches a full evaluation when a cycle appears and goes away', () => {
+        replay([
+            ['a = 1', 'b = a + 1', 'b * 2'],
+            ['a = b', 'b = a + 1', 'b * 2'],
+            ['a = 2', 'b = a + 1', 'b * 2'],
+        ]);
+    });
+
+    it('matches a full evaluation over random edits', () => {
+        const pool = ['A = 3', 'B = A * 2', 'C = B + A', 'A = 7', 'L{prev} + 1', 'L{2} * 2', 'q: 2 #t', 'r: 3 #t', 'sum: t', '',
+            'D = C + E', 'E = 4', 'E = D', 'x: A + 1 #t', '10', '# H', 'today + 1 day', 'subtotal', 'B'];
+        let seed = 7;
+        const random = (n) => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed % n;
+        };
+        for (let round = 0; round < 40; round++) {
+            let lines = Array.from({ length: 3 + random(6) }, () => pool[random(pool.length)]);
+            const versions = [lines];
+            for (let step = 0; step < 10; step++) {
+                lines = [...lines];
+                const at = random(lines.length);
+                const op = random(3);
+                if (op === 0) lines.splice(at, 0, pool[random(pool.length)]);
+                else if (op === 1 && lines.length > 1) lines.splice(at, 1);
+                else lines[at] = pool[random(pool.length)];
+                versions.push(lines);
+            }
+            replay(versions);
+        }
+    });
+});
@@ -0,0 +1,160 @@
+import { DATE_KEYWORDS, MONTHS, WEEKDAYS } from './dates';
+import { GRAMMAR_WORDS } from './diagnostics';
+import { aggregateOf, commentStart, isCommentLine, isHeaderLine, isName } from './evaluate';
+import { SAFE_FUNCS } from './functions';
+import { nameKey } from './parser';
+import { tokenize } from './tokenizer';
+import { parseUnitWord } from './units';
+
+// Syntax highlighting for the editor, driven by the same tokenizer as the
+// parser. A line is cut into segments that cover it exactly, so the
+// highlighted copy lines up with the textarea above it:
+//
+//   { text, type, error }
+//
+// where `type` is one of
+//   header, comment         whole lines, and "// note" at the end of one
+//   name                    what the line defines ("Rent =", "Flight:")
+//   variable                a name defined in the document ("Platform Fee Rate")
+//   number, currency, date  literals ("2,400", "$", "2026-03-01", "9:30am", "today")
+//   unit, function          "km", "°C"; "sqrt"
+//   keyword                 grammar words ("in", "of", "per", "total", "sum")
+//   reference               "L{3}", "L{prev}", "L{^trip}", and a line's own "{^trip}"
+//   operator                + - * / ^ % ( ) , = :
+//   tag                     "#food"
+//   text                    anything else (prose)
+// or null for whitespace. `error` marks the columns a diagnostic points at.
+
+const TAG_RE = /#[A-Za-z][\w-]*/g;
+const ANCHOR_RE = /(^|\s)(\{\^[A-Za-z][\w-]*\})\s*$/;
+const AGGREGATE_WORDS = new Set(['grand', 'total', 'subtotal', 'average', 'avg', 'mean', 'count', 'min', 'max', 'all', 'everything']);
+const TOKEN_TYPES = { number: 'number', currency: 'currency', date: 'date', time: 'date', lineRef: 'reference', op: 'operator', lparen: 'operator', rparen: 'operator', comma: 'operator' };
+
+// Tokens of `src`, whatever it contains: a character the tokenizer rejects
+// becomes a 'text' token and scanning goes on after it
+const scan = (src, offset) => {
+    const tokens = [];
+    let pos = 0;
+    while (pos < src.length) {
+        const rest = src.slice(pos);
+        try {
+            tokens.push(...tokenize(rest).map(t => ({ ...t, start: t.start + pos + offset, end: t.end + pos + offset })));
+            break;
+        } catch (err) {
+            const bad = err.start ?? 0;
+            tokens.push(...tokenize(rest.slice(0, bad)).map(t => ({ ...t, start: t.start + pos + offset, end: t.end + pos + offset })));
+            tokens.push({ type: 'text', text: rest[bad], start: pos + bad + offset, end: pos + bad + 1 + offset });
+            pos += bad + 1;
+        }
+    }
+    return tokens;
+};
+
+const wordType = (word, aggregate) => {
+    const lower = word.toLowerCase();
+    if (aggregate && AGGREGATE_WORDS.has(lower)) return 'keyword';
+    if (DATE_KEYWORDS.has(lower) || Object.hasOwn(MONTHS, lower) || Object.hasOwn(WEEKDAYS, lower)) return 'date';
+    if (GRAMMAR_WORDS.has(lower)) return 'keyword';
+    if (Object.hasOwn(SAFE_FUNCS, lower)) return 'function';
+    if (parseUnitWord(word) !== null) return 'unit';
+    return 'text';
+};
+
+// Typed ranges ({ start, end, type }) of the expression `src` at column
+// `offset`. Runs of words that spell a defined name are one variable.
+const expressionRanges = (line, src, offset, names, aggregate) => {
+    const tokens = scan(src, offset);
+    const ranges = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'word') {
+            // The longest run of words, separated by spaces only, that is a name
+            let match = -1;
+            for (let j = i; j < tokens.length && tokens[j].type === 'word'; j++) {
+                if (j > i && !/^\s+$/.test(line.slice(tokens[j - 1].end, tokens[j].start))) break;
+                if (names.has(nameKey(line.slice(token.start, tokens[j].end)))) match = j;
+            }
+            if (match >= 0) {
+                ranges.push({ start: token.start, end: tokens[match].end, type: 'variable' });
+                i = match;
+                continue;
+            }
+            ranges.push({ start: token.start, end: token.end, type: wordType(token.text, aggregate) });
+            continue;
+        }
+        // Grouping commas belong to the number ("2,400")
+        const grouping = token.type === 'comma' && tokens[i - 1]?.type === 'number' && tokens[i + 1]?.type === 'number'
+            && tokens[i - 1].end === token.start && tokens[i + 1].start === token.end;
+        ranges.push({ start: token.start, end: token.end, type: grouping ? 'number' : TOKEN_TYPES[token.type] || 'text' });
+    }
+    return ranges;
+};
+
+// Typed ranges of a line that is not a header or a comment
+const lineRanges = (line, names) => {
+    const cut = commentStart(line);
+    const body = cut >= 0 ? line.slice(0, cut) : line;
+    const ranges = cut >= 0 ? [{ start: cut + (line[cut] === '/' ? 0 : 1), end: line.length, type: 'comment' }] : [];
+
+    // Tags are blanked out so that the rest keeps its columns
+    for (const m of body.matchAll(TAG_RE)) ranges.push({ start: m.index, end: m.index + m[0].length, type: 'tag' });
+    let rest = body.replace(TAG_RE, (tag) => ' '.repeat(tag.length));
+    // And so is the anchor at the end (see splitAnchor in evaluate.js)
+    const anchor = rest.match(ANCHOR_RE);
+    if (anchor) {
+        const start = anchor.index + anchor[1].length;
+        ranges.push({ start, end: start + anchor[2].length, type: 'reference' });
+        rest = rest.slice(0, start) + ' '.repeat(rest.length - start);
+    }
+
+    const sum = rest.match(/^(\s*)(sum)(\s*)(:)/i);
+    if (sum) {
+        const at = sum[1].length;
+        ranges.push({ start: at, end: at + 3, type: 'keyword' }, { start: sum[0].length - 1, end: sum[0].length, type: 'operator' });
+        const tag = rest.slice(sum[0].length).match(/\S+/);
+        if (tag) ranges.push({ start: sum[0].length + tag.index, end: sum[0].length + tag.index + tag[0].length, type: 'tag' });
+        return ranges;
+    }
+
+    // "Name = ..." or else "Label: ..." (see classifyLine in evaluate.js)
+    let exprStart = 0;
+    const eq = rest.indexOf('=');
+    const colon = rest.indexOf(':');
+    const sep = eq > 0 && isName(rest.slice(0, eq).trim()) ? eq : colon > 0 && isName(rest.slice(0, colon).trim()) ? colon : -1;
+    if (sep > 0) {
+        const nameStart = rest.length - rest.trimStart().length;
+        ranges.push({ start: nameStart, end: nameStart + rest.slice(0, sep).trim().length, type: 'name' }, { start: sep, end: sep + 1, type: 'operator' });
+        exprStart = sep + 1;
+    }
+    const aggregate = aggregateOf(body) !== null;
+    ranges.push(...expressionRanges(line, rest.slice(exprStart), exprStart, names, aggregate));
+    return ranges;
+};
+
+// Segments of `line` (see above). `names` are the names defined in the
+// document; `error` is the columns a diagnostic underlines ([start, end], see
+// diagnosticRange).
+export const highlightLine = (line, { names = [], error = null } = {}) => {
+    if (!line) return [];
+    const keys = new Set([...names].map(nameKey));
+    let ranges;
+    if (isHeaderLine(line)) ranges = [{ start: 0, end: line.length, type: 'header' }];
+    else if (isCommentLine(line)) ranges = [{ start: 0, end: line.length, type: 'comment' }];
+    else ranges = lineRanges(line, keys);
+
+    // Column types, then runs of the same type and error state
+    const types = new Array(line.length).fill(null);
+    ranges.forEach(({ start, end, type }) => {
+        for (let i = start; i < end; i++) types[i] = type;
+    });
+    const inError = (i) => !!error && i >= error[0] && i < error[1];
+
+    const segments = [];
+    let start = 0;
+    for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && types[i] === types[start] && inError(i) === inError(start)) continue;
+        segments.push({ text: line.slice(start, i), type: types[start], error: inError(start) });
+        start = i;
+    }
+    return segments;
+};
@@ -0,0 +1,20 @@
+export { createDocumentEvaluator, evaluateDocument, evaluateExpression, extractTags, isCommentLine, isHeaderLine, tryEvaluate } from './evaluate';
+export { aiCanFill, mergeAiLogic } from './merge';
+export { acceptedLine, noteLine } from './review';
+export { resolvePhrases } from './phrases';
+export { diagnosticRange } from './diagnostics';
+export { completionsAt } from './completions';
+export { highlightLine } from './highlight';
+export { addAnchor, insertReference, referenceTo } from './references';
+export { traceLine } from './trace';
+export { compareVersions } from './compare';
+export { tokenize } from './tokenizer';
+export { parse, nameKey } from './parser';
+export { evaluate } from './interpreter';
+export { CalcError } from './errors';
+export { DEFAULT_DISPLAY, formatValue } from './format';
+export { ROUNDING_MODES } from './rational';
+export { SAFE_FUNCS } from './functions';
+export { UNITS, formatUnit, convertAmount } from './units';
+export { DEFAULT_RATES, convertCurrency } from './currency';
+export { isDateValue } from './dates';
@@ -0,0 +1,118 @@
+import { keywordDate, makeDate, weekdayDate, spanBetween } from './dates';
+import { CalcError } from './errors';
+import { SAFE_FUNCS } from './functions';
+import * as R from './rational';
+import { add, applyFunction, convert, copyValue, divide, makeValue, multiply, negate, power, subtract, toCurrency } from './values';
+
+// Walks a parser AST and returns an engine value ({ value, exact, format, unit }, see
+// values.js). Nothing is ever handed to the JS runtime; the only callable code
+// is SAFE_FUNCS.
+//
+// `env` carries the exchange rate table (`rates`), the clock used for
+// "today" and dates without a year (`now`, a Date), and resolves the
+// document-dependent leaves:
+//   variable(key)  -> value | undefined
+//   line(ref)      -> value | undefined   (ref: line index, 'prev' or '^anchor')
+//   tagSum(tag)    -> value
+
+const BINARY_OPS = { '+': add, '-': subtract, '*': multiply, '/': divide, '^': power };
+
+// Errors raised without a position (unit and currency rules in values.js,
+// lookups in `env`) point at the innermost node they came from
+export const evaluate = (node, env) => {
+    try {
+        return evaluateNode(node, env);
+    } catch (err) {
+        if (err instanceof CalcError && err.start === null && node.start !== undefined) {
+            err.start = node.start;
+            err.end = node.end;
+        }
+        throw err;
+    }
+};
+
+const evaluateNode = (node, env) => {
+    switch (node.type) {
+        case 'number':
+            return makeValue(node.value, node.currency ? 'currency' : 'number', null, node.currency);
+
+        case 'money':
+            return toCurrency(evaluate(node.arg, env), node.currency, { rates: env.rates, node });
+
+        case 'unit':
+            return makeValue(1, 'number', node.unit);
+
+        case 'percent': {
+            const arg = evaluate(node.arg, env);
+            if (arg.unit || arg.currency) throw new CalcError('unit-mismatch', 'A percentage is a plain number', node);
+            const ratio = R.div(arg.exact, R.fromNumber(100));
+            return makeValue(R.toNumber(ratio), 'percent', null, null, ratio);
+        }
+
+        case 'asPercent': {
+            const ratio = evaluate(node.arg, env);
+            if (ratio.unit) throw new CalcError('unit-mismatch', 'Cannot express a quantity with a unit as a percentage', node);
+            return makeValue(ratio.value, 'percent', null, null, ratio.exact);
+        }
+
+        case 'negate':
+            return negate(evaluate(node.arg, env));
+
+        case 'binary': {
+            const op = BINARY_OPS[node.op];
+            if (!op) throw new CalcError('syntax', `Unknown operator "${node.op}"`, node);
+            return op(evaluate(node.left, env), evaluate(node.right, env), { rates: env.rates, node });
+        }
+
+        case 'convert': {
+            const arg = evaluate(node.arg, env);
+            if (node.currency) return toCurrency(arg, node.currency, { rates: env.rates, node });
+            return convert(arg, node.unit, { node });
+        }
+
+        case 'call': {
+            const args = node.args.map(arg => evaluate(arg, env));
+            return applyFunction(node.name, SAFE_FUNCS[node.name], args, { rates: env.rates, node });
+        }
+
+        case 'variable': {
+            const entry = env.variable(node.name);
+            if (!entry) throw new CalcError('unknown-identifier', `Unknown name "${node.name}"`, node);
+            return copyValue(entry);
+        }
+
+        case 'lineRef': {
+            const entry = env.line(node.line);
+            if (!entry) throw new CalcError('unknown-line', `Line ${node.line === 'prev' ? 'above' : typeof node.line === 'string' ? node.line : node.line + 1} has no value`, node);
+            return copyValue(entry);
+        }
+
+        case 'date': {
+            const year = node.year ?? env.now.getFullYear();
+            const date = makeDate(year, node.month, node.day, node.hour, node.minute);
+            return makeValue(date.value, date.format);
+        }
+
+        case 'time':
+            return makeValue((node.hour * 60 + node.minute) * 60000, 'time');
+
+        case 'dateKeyword': {
+            const date = keywordDate(node.name, env.now);
+            return makeValue(date.value, date.format);
+        }
+
+        case 'weekday': {
+            const date = weekdayDate(node.which, node.weekday, env.now);
+            return makeValue(date.value, date.format);
+        }
+
+        case 'span':
+            return makeValue(spanBetween(node.unit, evaluate(node.from, env), evaluate(node.to, env)), 'number', node.unit);
+
+        case 'tagSum':
+            return env.tagSum(node.tag);
+
+        default:
+            throw new CalcError('syntax', `Unsupported expression "${node.type}"`, node);
+    }
+};
@@ -0,0 +1,206 @@
+import { DEFAULT_RATES } from './currency';
+import { isDateValue } from './dates';
+import { CalcError } from './errors';
+import { PARSE_ERRORS } from './diagnostics';
+import { aggregateOf, anchorLines, createEnv, cycleResult, isCommentLine, isHeaderLine, tryEvaluate, visibleNames } from './evaluate';
+import { formatValue } from './format';
+import { createGraph } from './graph';
+import { nameKey } from './parser';
+
+// Merges the local results with the logic the LLM extracted
+// ({ lineIndex: { formula, type, format, explanation } }, or { problem } for a
+// line the model gave no valid answer for, shown as an 'ai-invalid'
+// diagnostic). Local results win, except that the AI may fill a line whose
+// local diagnostic could be down to something only the AI knows (an unknown
+// name, an empty line reference). Such lines are first evaluated again
+// against the merged results, so "Stage * 2" works once the AI has defined
+// Stage.
+//
+// AI formulas go through the same parser and interpreter as typed
+// expressions, so a formula outside the calculator grammar is rejected rather
+// than executed; the line then shows an 'ai-rejected' diagnostic. They are
+// resolved through the same dependency graph as the local pass, so "L{n}" and
+// names defined by the AI work in any order, and totals and other aggregates
+// include the lines the AI filled in.
+//
+// Items may carry a `source` ('rules' for the phrase resolver, see
+// phrases.js); the AI's own have none and are marked 'ai'.
+//
+// Every merged result carries a `formatted` string, rounded with the
+// document's `display` settings ({ precision, rounding }, see format.js), and
+// the lines it read in `inputs`, AI lines included.
+
+// Local diagnostics that the AI lines may resolve
+const RECHECK = new Set([...PARSE_ERRORS, 'unknown-line', 'dependency']);
+
+// True when the AI may fill a line with this local result: the local engine
+// left it empty or failed in a way the AI may resolve
+export const aiCanFill = (local) => !local || RECHECK.has(local.error?.code);
+
+// A diagnostic about the AI's answer for line `raw`. The answer is not part
+// of the line, so the whole line is underlined.
+const aiError = (raw, code, message, formula = '', source = 'ai') => ({
+    value: null,
+    formatted: '',
+    type: 'error',
+    error: {
+        code,
+        message,
+        start: raw.length - raw.trimStart().length,
+        end: raw.trimEnd().length,
+        suggestion: null
+    },
+    explanation: message,
+    formula,
+    tags: [],
+    source
+});
+
+export const mergeAiLogic = (text, localResults, aiLogic, { rates = DEFAULT_RATES, now = new Date(), display = {} } = {}) => {
+    const lines = text.split('\n');
+
+    // "Total Fixed Costs = Venue Rental + Stage" -> name and expression
+    const items = lines.map((_, idx) => {
+        const aiItem = aiLogic?.[idx];
+        // Comment lines include the AI answers the user rejected (see review.js)
+        if (!aiCanFill(localResults[idx]) || !aiItem || isCommentLine(lines[idx])) return null;
+        // The model gave no valid answer; a local diagnostic says more
+        if (aiItem.problem) return localResults[idx] ? null : { ...aiItem, line: lines[idx] };
+        if (typeof aiItem.formula !== 'string' || !aiItem.formula) return null;
+        const eqIdx = aiItem.formula.indexOf('=');
+        const name = eqIdx > 0 ? aiItem.formula.slice(0, eqIdx).trim() : null;
+        const expr = eqIdx >= 0 ? aiItem.formula.slice(eqIdx + 1).trim() : aiItem.formula.trim();
+        // Headers and notes only show their explanation
+        const isNote = ['header', 'note', 'variable'].includes(expr.toLowerCase()) || aiItem.type === 'header' || aiItem.type === 'note';
+        // A note does not explain away a local diagnostic
+        if (isNote && localResults[idx]) return null;
+        return { ...aiItem, name: isNote ? null : name, expr, isNote, line: lines[idx], source: aiItem.source || 'ai' };
+    });
+
+    const defs = new Map();
+    lines.forEach((_, idx) => {
+        const name = items[idx]?.name || localResults[idx]?.name;
+        if (!name) return;
+        const key = nameKey(name);
+        if (!defs.has(key)) defs.set(key, []);
+        defs.get(key).push(idx);
+    });
+    const names = new Set(defs.keys());
+    const anchors = anchorLines(lines);
+    const nameOf = (i) => items[i]?.name || localResults[i]?.name || `line ${i + 1}`;
+
+    const format = (res, fmt = res.format, currency = res.currency) => (
+        formatValue(res.value, fmt, res.unit, currency, { ...display, exact: res.exact })
+    );
+
+    const kindOf = (j) => {
+        if (isHeaderLine(lines[j])) return 'header';
+        if (!lines[j].trim()) return 'blank';
+        return (items[j] || localResults[j])?.type === 'total' ? 'aggregate' : 'line';
+    };
+
+    const graph = createGraph(lines.length, (idx, deps) => {
+        const env = createEnv(idx, deps, {
+            get: graph.get,
+            count: lines.length,
+            defs,
+            anchors,
+            tagsOf: (j) => localResults[j]?.tags || [],
+            kindOf,
+            rates,
+            now
+        });
+
+        const aiItem = items[idx];
+        const local = localResults[idx];
+        const aggregate = local?.type === 'total' && aggregateOf(lines[idx]);
+        if (aggregate) {
+            let res = local;
+            try {
+                res = env.aggregate(aggregate) || local;
+            } catch (err) {
+                // Keep the local total when the AI lines cannot be added to it
+                if (!(err instanceof CalcError)) throw err;
+            }
+            return { ...local, ...res, formatted: format(res) };
+        }
+        if (local && RECHECK.has(local.error?.code)) {
+            let res;
+            try {
+                res = tryEvaluate(local.formula, visibleNames(names, defs, idx, local.name), env).value;
+            } catch (err) {
+                if (!(err instanceof CalcError) || err.code !== 'cycle') throw err;
+                return cycleResult(idx, err, nameOf, { formatted: '', formula: local.formula, tags: local.tags, source: 'local' });
+            }
+            if (res) {
+                const { error: _error, ...rest } = local;
+                return {
+                    ...rest,
+                    value: res.value,
+                    exact: res.exact,
+                    formatted: format(res),
+                    type: local.name ? 'variable' : 'calc',
+                    format: res.format,
+                    unit: res.unit,
+                    currency: res.currency,
+                    explanation: local.name || ''
+                };
+            }
+        }
+        if (local && !aiItem) {
+            // Read in the local pass
+            local.inputs?.forEach(j => deps.lines.add(j));
+            return { ...local, formatted: format(local) };
+        }
+        if (!aiItem) return null;
+        if (aiItem.problem) return aiError(aiItem.line, 'ai-invalid', `Invalid AI answer: ${aiItem.problem}`);
+        if (aiItem.isNote) {
+            if (!aiItem.explanation) return null;
+            return {
+                value: null,
+                formatted: '',
+                type: aiItem.type,
+                explanation: aiItem.explanation,
+                formula: '',
+                tags: [],
+                source: aiItem.source
+            };
+        }
+
+        let res;
+        let error;
+        try {
+            ({ value: res, error } = tryEvaluate(aiItem.expr, visibleNames(names, defs, idx, aiItem.name), env));
+        } catch (err) {
+            if (!(err instanceof CalcError) || err.code !== 'cycle') throw err;
+            return cycleResult(idx, err, nameOf, { formatted: '', formula: aiItem.formula, tags: [], source: aiItem.source });
+        }
+        if (error && aiItem.source === 'rules') {
+            return aiError(aiItem.line, 'rule-failed', `"${aiItem.formula}" failed: ${error.message}`, aiItem.formula, 'rules');
+        }
+        if (error) return aiError(aiItem.line, 'ai-rejected', `AI formula "${aiItem.formula}" rejected: ${error.message}`, aiItem.formula);
+
+        // A date stays a date whatever format the model suggested
+        const fmt = isDateValue(res) ? res.format : aiItem.format || res.format;
+        const currency = fmt === 'currency' ? res.currency || 'USD' : null;
+        return {
+            value: res.value,
+            exact: res.exact,
+            formatted: format(res, fmt, currency),
+            type: aiItem.type || 'calc',
+            format: fmt,
+            unit: res.unit,
+            currency,
+            explanation: aiItem.explanation,
+            formula: aiItem.formula,
+            tags: [],
+            source: aiItem.source
+        };
+    });
+
+    const { results, deps } = graph.run();
+    Object.keys(results).forEach((idx) => {
+        results[idx] = { ...results[idx], inputs: [...deps[idx].lines].sort((a, b) => a - b) };
+    });
+    return results;
+};
@@ -0,0 +1,455 @@
+import { lookupCurrency } from './currency';
+import { DATE_KEYWORDS, MONTHS, WEEKDAYS } from './dates';
+import { CalcError } from './errors';
+import { SAFE_FUNCS } from './functions';
+import { tokenize } from './tokenizer';
+import { parseUnitWord } from './units';
+
+// Recursive descent parser for the calculator grammar:
+//
+//   line      := unit ('between' conv 'and' conv | 'until' conv | 'since' conv)
+//              | 'what' '%' ('is' expr 'of' expr | 'of' expr 'is' expr)
+//              | conv (('from' | 'after' | 'before') conv | 'ago' | 'is' 'what' '%' 'of' conv)?
+//   conv      := expr (('in' | 'to' | 'as') (units | currency | 'a'? '%' ('of' expr)?))?
+//   expr      := term (('+' | '-') term)*
+//   term      := unary (('*' | '/' | 'per') unary)*
+//   unary     := ('-' | '+') unary | power
+//   power     := postfix ('^' unary)?              right associative
+//   postfix   := primary currency? units? percent*   "200 EUR", "3 hours"
+//   percent   := '%' ('of' unary | 'off' unary | 'on' ('top' 'of')? unary)?
+//   primary   := currency? number | name | lineRef | func '(' args ')'
+//              | 'sum' '(' tag ')' | '(' expr ')' | unit | date
+//   date      := "2026-12-01" | "9:30" | "5pm" | 'today' | 'now' | 'tomorrow'
+//              | 'yesterday' | ('next' | 'last' | 'this') weekday
+//              | month day (','? year)? | day month year?      "Mar 1", "1 Mar 2026"
+//   units     := unit ('^' int)? ('/' unit ('^' int)?)*   e.g. "MB/s", "m^2"
+//   currency  := '$' | '€' | '£' | ... | ISO code ("EUR") | name ("euros")
+//
+// Names may span several words ("Platform Fee Rate"); the longest run of words
+// matching a known name wins, and names shadow units and filler words. Filler
+// words ("of", "the" ...) outside a name are skipped. Anything else is
+// rejected with a CalcError.
+//
+// Percentages follow everyday usage: "$80 - 5%" takes 5% off $80, "20% of 150"
+// is 30, "5% off $80" is $76, "10% on top of 400" is 440, "$50 as a % of $200"
+// and "what % is 30 of 120" give a percentage.
+
+const GLUE_WORDS = new Set(['per', 'of', 'on', 'at', 'for', 'a', 'an', 'the', 'is', 'equals', 'equal']);
+const CONVERSION_WORDS = new Set(['in', 'to', 'as']);
+const MAX_NAME_WORDS = 8;
+
+export const nameKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const parse = (src, names = new Set(), { rates } = {}) => {
+    const tokens = tokenize(src);
+    let pos = 0;
+    let callDepth = 0;
+
+    const peek = (offset = 0) => tokens[pos + offset];
+    const isOp = (tok, ...ops) => tok?.type === 'op' && ops.includes(tok.value);
+
+    const fail = (message, tok = peek()) => {
+        const at = tok ? { start: tok.start, end: tok.end } : { start: src.length, end: src.length };
+        throw new CalcError('syntax', message, at);
+    };
+
+    const isWord = (tok, ...words) => tok?.type === 'word' && words.includes(tok.text.toLowerCase());
+
+    const expect = (type, message) => {
+        const tok = peek();
+        if (tok?.type !== type) fail(message);
+        pos++;
+        return tok;
+    };
+
+    // "2,400" arrives as number, comma, number. Join groups of exactly three
+    // digits written without spaces, except inside function arguments where
+    // the comma separates arguments.
+    const parseNumber = () => {
+        const first = expect('number', 'Expected a number');
+        let text = first.text;
+        let end = first.end;
+        while (callDepth === 0 && peek()?.type === 'comma' && peek().start === end &&
+            peek(1)?.type === 'number' && peek(1).start === peek().end && /^\d{3}(\.\d+)?$/.test(peek(1).text) &&
+            !text.includes('.')) {
+            text += peek(1).text;
+            end = peek(1).end;
+            pos += 2;
+        }
+        return { type: 'number', value: parseFloat(text), start: first.start, end };
+    };
+
+    // Number of word tokens from `offset` that form a known name (0 if none)
+    const nameLength = (offset = 0) => {
+        const words = [];
+        for (let i = offset; i < offset + MAX_NAME_WORDS && peek(i)?.type === 'word'; i++) words.push(peek(i).text);
+        for (let n = words.length; n > 0; n--) {
+            if (names.has(nameKey(words.slice(0, n).join(' ')))) return n;
+        }
+        return 0;
+    };
+
+    const matchName = () => {
+        const n = nameLength();
+        if (!n) return null;
+        const words = tokens.slice(pos, pos + n).map(t => t.text).join(' ');
+        const node = { type: 'variable', name: nameKey(words), start: peek().start, end: peek(n - 1).end };
+        pos += n;
+        return node;
+    };
+
+    // Currency code or name at `offset`; returns the ISO code or null
+    const currencyAt = (offset = 0) => {
+        const tok = peek(offset);
+        if (tok?.type === 'currency') return tok.value;
+        if (tok?.type !== 'word' || nameLength(offset)) return null;
+        return lookupCurrency(tok.text, rates);
+    };
+
+    // "business days" is the one unit spelled with two words
+    const isBusinessDays = (offset = 0) => isWord(peek(offset), 'business') && isWord(peek(offset + 1), 'day', 'days');
+
+    const isUnitAt = (offset = 0) => {
+        const tok = peek(offset);
+        if (tok?.type !== 'word' || nameLength(offset)) return false;
+        return isBusinessDays(offset) || (!!parseUnitWord(tok.text) && peek(offset + 1)?.type !== 'lparen');
+    };
+
+    const parseUnitPower = (unit, sign) => {
+        const business = isBusinessDays();
+        const word = business ? { workday: 1 } : parseUnitWord(peek().text);
+        pos += business ? 2 : 1;
+        let exp = 1;
+        if (isOp(peek(), '^') && peek(1)?.type === 'number' && Number.isInteger(peek(1).value)) {
+            exp = peek(1).value;
+            pos += 2;
+        }
+        for (const [name, p] of Object.entries(word)) {
+            unit[name] = (unit[name] || 0) + sign * exp * p;
+            if (!unit[name]) delete unit[name];
+        }
+    };
+
+    // Reads a unit expression such as "km", "MB/s" or "m^2"; with `compound`
+    // false only a single unit is read, so "$150/hour/2" divides normally.
+    const parseUnits = (compound = true) => {
+        const start = peek().start;
+        const unit = {};
+        parseUnitPower(unit, 1);
+        while (compound && isOp(peek(), '/') && isUnitAt(1)) {
+            pos++;
+            parseUnitPower(unit, -1);
+        }
+        return { type: 'unit', unit, start, end: tokens[pos - 1].end };
+    };
+
+    const parseArgs = () => {
+        expect('lparen', 'Expected "("');
+        const args = [];
+        callDepth++;
+        if (peek()?.type !== 'rparen') {
+            args.push(parseExpr());
+            while (peek()?.type === 'comma') {
+                pos++;
+                args.push(parseExpr());
+            }
+        }
+        callDepth--;
+        expect('rparen', 'Expected ")"');
+        return args;
+    };
+
+    const isMonthAt = (offset = 0) => isWord(peek(offset), ...Object.keys(MONTHS)) && !nameLength(offset);
+    const isDayNumber = (tok) => tok?.type === 'number' && Number.isInteger(tok.value) && tok.value >= 1 && tok.value <= 31;
+
+    // Optional year after "Mar 1" / "1 Mar", with or without a comma
+    const parseYear = () => {
+        const offset = peek()?.type === 'comma' ? 1 : 0;
+        const tok = peek(offset);
+        if (tok?.type === 'number' && /^\d{4}$/.test(tok.text)) {
+            pos += offset + 1;
+            return tok.value;
+        }
+        return null;
+    };
+
+    const parseDate = () => {
+        const tok = peek();
+        if (tok.type === 'date') {
+            pos++;
+            return { type: 'date', ...tok.value, start: tok.start, end: tok.end };
+        }
+        if (tok.type === 'time') {
+            pos++;
+            return { type: 'time', ...tok.value, start: tok.start, end: tok.end };
+        }
+        if (tok.type === 'number' && isDayNumber(tok) && isMonthAt(1)) {
+            const month = MONTHS[peek(1).text.toLowerCase()];
+            pos += 2;
+            const year = parseYear();
+            return { type: 'date', year, month, day: tok.value, hour: null, minute: 0, start: tok.start, end: tokens[pos - 1].end };
+        }
+        if (tok.type !== 'word' || nameLength()) return null;
+        const lower = tok.text.toLowerCase();
+        if (DATE_KEYWORDS.has(lower)) {
+            pos++;
+            return { type: 'dateKeyword', name: lower, start: tok.start, end: tok.end };
+        }
+        if (['next', 'last', 'this'].includes(lower) && isWord(peek(1), ...Object.keys(WEEKDAYS))) {
+            const weekday = WEEKDAYS[peek(1).text.toLowerCase()];
+            pos += 2;
+            return { type: 'weekday', which: lower, weekday, start: tok.start, end: tokens[pos - 1].end };
+        }
+        if (isMonthAt() && isDayNumber(peek(1))) {
+            const month = MONTHS[lower];
+            const day = peek(1).value;
+            pos += 2;
+            const year = parseYear();
+            return { type: 'date', year, month, day, hour: null, minute: 0, start: tok.start, end: tokens[pos - 1].end };
+        }
+        return null;
+    };
+
+    const parsePrimary = () => {
+        const tok = peek();
+        if (!tok) fail('Unexpected end of expression');
+
+        const date = parseDate();
+        if (date) return date;
+
+        if (tok.type === 'number') return parseNumber();
+
+        // "$200", "€1,200.50", "CHF 50"
+        const prefix = currencyAt();
+        if (prefix && peek(1)?.type === 'number') {
+            pos++;
+            const num = parseNumber();
+            return { ...num, currency: prefix, start: tok.start };
+        }
+
+        if (tok.type === 'lineRef') {
+            pos++;
+            return { type: 'lineRef', line: tok.value, start: tok.start, end: tok.end };
+        }
+
+        if (tok.type === 'lparen') {
+            pos++;
+            const inner = parseExpr();
+            expect('rparen', 'Expected ")"');
+            return inner;
+        }
+
+        if (tok.type === 'word') {
+            const lower = tok.text.toLowerCase();
+            const next = peek(1);
+
+            if (next?.type === 'lparen' && lower === 'sum' && peek(2)?.type === 'word' && peek(3)?.type === 'rparen') {
+                const tag = peek(2).text.toLowerCase();
+                const end = peek(3).end;
+                pos += 4;
+                return { type: 'tagSum', tag, start: tok.start, end };
+            }
+
+            if (next?.type === 'lparen' && Object.hasOwn(SAFE_FUNCS, lower)) {
+                pos++;
+                const args = parseArgs();
+                return { type: 'call', name: lower, args, start: tok.start, end: tokens[pos - 1].end };
+            }
+
+            const variable = matchName();
+            if (variable) return variable;
+
+            if (isUnitAt()) return parseUnits(false);
+
+            if (GLUE_WORDS.has(lower)) {
+                pos++;
+                return parsePrimary();
+            }
+
+            if (next?.type === 'lparen') {
+                throw new CalcError('unknown-function', `Unknown function "${tok.text}"`, tok);
+            }
+            throw new CalcError('unknown-identifier', `Unknown name "${tok.text}"`, tok);
+        }
+
+        return fail(`Unexpected "${tok.text}"`);
+    };
+
+    const parsePostfix = () => {
+        let node = parsePrimary();
+        // "200 EUR", "(2 + 3) dollars"
+        const suffix = node.type !== 'unit' && currencyAt();
+        if (suffix && peek().type === 'word') {
+            const tok = peek();
+            pos++;
+            node = node.type === 'number' && !node.currency
+                ? { ...node, currency: suffix, end: tok.end }
+                : { type: 'money', arg: node, currency: suffix, start: node.start, end: tok.end };
+        }
+        // "3 hours", "(2 + 3) km", "20 MB/s"
+        if (node.type !== 'unit' && isUnitAt()) {
+            const unit = parseUnits();
+            node = { type: 'binary', op: '*', left: node, right: unit, start: node.start, end: unit.end };
+        }
+        while (isOp(peek(), '%')) {
+            const tok = peek();
+            pos++;
+            node = { type: 'percent', arg: node, start: node.start, end: tok.end };
+            // "20% of 150", "5% off $80", "10% on top of 400" / "10% on 400"
+            if (isWord(peek(), 'of') && !isWord(peek(1), 'what')) {
+                pos++;
+                const base = parseUnary();
+                node = { type: 'binary', op: '*', left: node, right: base, start: node.start, end: base.end };
+            } else if (isWord(peek(), 'off', 'on')) {
+                const op = isWord(peek(), 'off') ? '-' : '+';
+                pos += isWord(peek(1), 'top') && isWord(peek(2), 'of') ? 3 : 1;
+                const base = parseUnary();
+                node = { type: 'binary', op, left: base, right: node, start: node.start, end: base.end };
+            }
+        }
+        return node;
+    };
+
+    const parsePower = () => {
+        const base = parsePostfix();
+        if (isOp(peek(), '^')) {
+            pos++;
+            const exponent = parseUnary();
+            return { type: 'binary', op: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+        }
+        return base;
+    };
+
+    const parseUnary = () => {
+        const tok = peek();
+        if (isOp(tok, '-', '+')) {
+            pos++;
+            const arg = parseUnary();
+            return tok.value === '-' ? { type: 'negate', arg, start: tok.start, end: arg.end } : arg;
+        }
+        return parsePower();
+    };
+
+    // "per" reads as division: "$150 per hour"
+    const isPer = (tok) => tok?.type === 'word' && tok.text.toLowerCase() === 'per';
+
+    const parseBinary = (ops, parseOperand) => () => {
+        let left = parseOperand();
+        while (isOp(peek(), ...ops) || (ops.includes('/') && isPer(peek()))) {
+            const op = isPer(peek()) ? '/' : peek().value;
+            pos++;
+            const right = parseOperand();
+            left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+
+    const parseTerm = parseBinary(['*', '/'], parseUnary);
+    const parseExpr = parseBinary(['+', '-'], parseTerm);
+
+    const expectWord = (word) => {
+        if (!isWord(peek(), word)) fail(`Expected "${word}"`);
+        pos++;
+    };
+
+    // part / whole shown as a percentage
+    const asPercent = (part, whole) => {
+        const arg = whole ? { type: 'binary', op: '/', left: part, right: whole, start: part.start, end: whole.end } : part;
+        return { type: 'asPercent', arg, start: arg.start, end: arg.end };
+    };
+
+    const isPercentWord = (offset) => isOp(peek(offset), '%') || isWord(peek(offset), 'percent', 'percentage');
+
+    const parseConversion = () => {
+        const node = parseExpr();
+        const tok = peek();
+        if (tok?.type !== 'word' || !CONVERSION_WORDS.has(tok.text.toLowerCase())) return node;
+        // "$50 as a % of $200", "0.25 as %"
+        const article = isWord(peek(1), 'a') ? 1 : 0;
+        if (isPercentWord(1 + article)) {
+            pos += 2 + article;
+            if (!isWord(peek(), 'of')) return asPercent(node);
+            pos++;
+            return asPercent(node, parseExpr());
+        }
+        const currency = currencyAt(1);
+        if (currency) {
+            const end = peek(1).end;
+            pos += 2;
+            return { type: 'convert', arg: node, currency, start: node.start, end };
+        }
+        if (isUnitAt(1)) {
+            pos++;
+            const target = parseUnits();
+            return { type: 'convert', arg: node, unit: target.unit, start: node.start, end: target.end };
+        }
+        return node;
+    };
+
+    const today = (tok) => ({ type: 'dateKeyword', name: 'today', start: tok.start, end: tok.end });
+
+    const parseLine = () => {
+        // "days between Mar 1 and Jun 30", "weeks until Deadline", "days since 2026-01-01"
+        const start = pos;
+        if (isUnitAt()) {
+            const unit = parseUnits(false);
+            const tok = peek();
+            if (isWord(tok, 'between')) {
+                pos++;
+                const from = parseConversion();
+                if (!isWord(peek(), 'and')) fail('Expected "and"');
+                pos++;
+                const to = parseConversion();
+                return { type: 'span', unit: unit.unit, from, to, start: unit.start, end: to.end };
+            }
+            if (isWord(tok, 'until', 'since')) {
+                pos++;
+                const other = parseConversion();
+                const [from, to] = tok.text.toLowerCase() === 'until' ? [today(tok), other] : [other, today(tok)];
+                return { type: 'span', unit: unit.unit, from, to, start: unit.start, end: other.end };
+            }
+            pos = start;
+        }
+
+        // "what % is 30 of 120", "what % of 120 is 30"
+        if (isWord(peek(), 'what') && isPercentWord(1)) {
+            pos += 2;
+            if (isWord(peek(), 'is')) {
+                pos++;
+                const part = parseExpr();
+                expectWord('of');
+                return asPercent(part, parseExpr());
+            }
+            expectWord('of');
+            const whole = parseExpr();
+            expectWord('is');
+            return asPercent(parseExpr(), whole);
+        }
+
+        // "3 weeks from today", "2 days before Deadline", "3 days ago"
+        const node = parseConversion();
+        const tok = peek();
+        // "30 is what % of 120"
+        if (isWord(tok, 'is') && isWord(peek(1), 'what') && isPercentWord(2) && isWord(peek(3), 'of')) {
+            pos += 4;
+            return asPercent(node, parseConversion());
+        }
+        if (isWord(tok, 'ago')) {
+            pos++;
+            return { type: 'binary', op: '-', left: today(tok), right: node, start: node.start, end: tok.end };
+        }
+        if (isWord(tok, 'from', 'after', 'before')) {
+            pos++;
+            const base = parseConversion();
+            const op = tok.text.toLowerCase() === 'before' ? '-' : '+';
+            return { type: 'binary', op, left: base, right: node, start: node.start, end: base.end };
+        }
+        return node;
+    };
+
+    if (!tokens.length) fail('Empty expression');
+    const ast = parseLine();
+    if (pos < tokens.length) fail(`Unexpected "${peek().text}"`);
+    if (ast.type === 'unit') fail('Expected a value', tokens[0]);
+    return ast;
+};
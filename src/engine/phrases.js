@@ -0,0 +1,182 @@
+import { isDateValue } from './dates';
+import { isHeaderLine } from './evaluate';
+import { aiCanFill } from './merge';
+import { nameKey } from './parser';
+
+// Rule-based resolver for everyday phrasing the calculator grammar does not
+// cover. It runs between the local engine and the AI: a line the local engine
+// left unresolved and that reads like one of these phrases gets a formula
+// here, with source 'rules', and is not sent to the model.
+//
+//   "Split evenly", "per person", "split 3 ways", "divide by Guests"  -> prev / n (2 by default)
+//   "Double", "twice the previous", "triple Rent"                   -> prev * 2, Rent * 3
+//   "Half", "half of Rent", "a quarter of that"                      -> prev / 2, Rent / 4
+//   "What's left", "remaining after Rent and Food"                   -> first value of the section
+//                                                                      minus the others (or the named ones)
+//   "10% of that"                                                    -> 10% of prev
+//
+// "What's left per person" combines the two. Subjects are the document's names
+// or the previous line ("it", "that", "the previous", or nothing). A line must
+// consist only of these phrases, names, numbers and filler words; anything
+// else ("Remember to split the bill") is left for the AI.
+
+const NUMBER_WORDS = {
+    two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+const FACTORS = { double: 2, twice: 2, triple: 3, thrice: 3, quadruple: 4 };
+const FRACTIONS = { half: 2, halve: 2, third: 3, quarter: 4 };
+const SPLIT_RE = /\b(?:split|divide|divided|share|shared)\b|\bper (?:person|head)\b|\beach\b/;
+const LEFT_RE = /\b(?:what is left|left over|leftover|remaining|remainder|remains|balance)\b/;
+const PERCENT_RE = /^(\d+(?:\.\d+)?)\s*% of\b/;
+const COUNT_AFTER_RE = /\b(?:between|among|by|into|across|for)\s+(\S+)/;
+const COUNT_BEFORE_RE = /\b(\S+)\s+(?:ways?|people|persons|friends|guests|parts)\b/;
+
+const FILLER = new Set([
+    'the', 'it', 'that', 'this', 'of', 'a', 'an', 'is', 'what', 'evenly', 'equally', 'between', 'among',
+    'by', 'into', 'across', 'for', 'ways', 'way', 'people', 'persons', 'person', 'per', 'head', 'friends',
+    'guests', 'parts', 'after', 'and', 'previous', 'above', 'last', 'line', 'value', 'amount', 'each',
+    'us', 'we', 'all', 'left', 'over', 'leftover', 'remaining', 'remainder', 'remains', 'balance',
+    'split', 'divide', 'divided', 'share', 'shared', 'one', 'then', 'again', 'up',
+    ...Object.keys(NUMBER_WORDS), ...Object.keys(FACTORS), ...Object.keys(FRACTIONS),
+]);
+
+const PREV = 'L{prev}';
+
+const normalize = (line) => line
+    .replace(/#[A-Za-z][\w-]*|\{\^[A-Za-z][\w-]*\}|§/g, ' ')
+    .replace(/[’`]/g, "'")
+    .toLowerCase()
+    .replace(/\bwhat's\b/g, 'what is')
+    .replace(/[.?!:;,]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Names mentioned in `text`, longest first, each replaced by a placeholder
+// ("§<n>") so that its words are not read as anything else
+const findNames = (text, names) => {
+    const found = [];
+    let rest = text;
+    [...names].sort((a, b) => b.length - a.length).forEach((name) => {
+        const pattern = nameKey(name).split(' ').map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+        const re = new RegExp(`(?<![\\w§])${pattern}(?!\\w)`);
+        const m = rest.match(re);
+        if (!m) return;
+        found.push({ name, at: m.index });
+        rest = rest.slice(0, m.index) + `§${found.length - 1}` + rest.slice(m.index + m[0].length);
+    });
+    found.sort((a, b) => a.at - b.at);
+    return { rest, found: found.map(f => f.name) };
+};
+
+const countOf = (word, names) => {
+    if (!word) return null;
+    if (/^\d+$/.test(word) && Number(word) > 0) return word;
+    if (NUMBER_WORDS[word]) return String(NUMBER_WORDS[word]);
+    const placeholder = word.match(/^§(\d+)$/);
+    return placeholder ? names[Number(placeholder[1])] : null;
+};
+
+// Resolves `line`, or returns null. `refOf(j)` writes a reference to line
+// j; `section` lists the lines above with a value, back to the last header.
+const resolveLine = (line, { names, refOf, section }) => {
+    const text = normalize(line);
+    if (!text) return null;
+    const { rest, found } = findNames(text, names);
+
+    // Every word must be part of a known phrase
+    const words = rest.split(' ').filter(Boolean);
+    const known = (w) => FILLER.has(w) || /^§\d+$/.test(w) || /^\d+(?:\.\d+)?%?$/.test(w) || w === '%';
+    if (!words.length || words.length > 10 || !words.every(known)) return null;
+
+    const percent = rest.match(PERCENT_RE);
+    const split = SPLIT_RE.test(rest);
+    const left = LEFT_RE.test(rest);
+    const factorWord = words.find(w => FACTORS[w]);
+    const fractionWord = words.find(w => FRACTIONS[w]);
+    if (!percent && !split && !left && !factorWord && !fractionWord) return null;
+
+    // The count of a split may be a name ("split by Guests"); the other names are subjects
+    let count = null;
+    if (split) {
+        count = countOf(rest.match(COUNT_AFTER_RE)?.[1], found) || countOf(rest.match(COUNT_BEFORE_RE)?.[1], found);
+        if (!count) {
+            const number = words.find(w => /^\d+$/.test(w) || NUMBER_WORDS[w]);
+            count = countOf(number, found);
+        }
+    }
+    const subjects = found.filter(name => name !== count);
+
+    let subject;
+    let label;
+    if (left) {
+        // The first value of the section, minus the named lines or all the others
+        const named = new Set(subjects.map(nameKey));
+        const base = section.find(j => !named.has(nameKey(refOf(j))));
+        if (base === undefined) return null;
+        const minus = subjects.length ? subjects : section.filter(j => j !== base).map(refOf);
+        if (!minus.length) return null;
+        subject = `(${[refOf(base), ...minus].join(' - ')})`;
+        label = subjects.length ? `Left after ${subjects.join(', ')}` : "What's left";
+    } else {
+        if (subjects.length > 1) return null;
+        subject = subjects[0] || PREV;
+        label = subjects[0] || 'previous';
+    }
+
+    if (percent) {
+        if (left || split || factorWord || fractionWord) return null;
+        return { formula: `${percent[1]}% of ${subject}`, explanation: `${percent[1]}% of ${label}` };
+    }
+    const steps = [];
+    const parts = [];
+    if (factorWord) {
+        steps.push(`* ${FACTORS[factorWord]}`);
+        parts.push(`× ${FACTORS[factorWord]}`);
+    }
+    if (fractionWord) {
+        steps.push(`/ ${FRACTIONS[fractionWord]}`);
+        parts.push(`÷ ${FRACTIONS[fractionWord]}`);
+    }
+    if (split) {
+        steps.push(`/ ${count || 2}`);
+        parts.push(`split ${count || 2} ways`);
+    }
+    const formula = steps.length ? `${subject} ${steps.join(' ')}` : subject.replace(/^\((.*)\)$/, '$1');
+    return { formula, explanation: parts.length ? `${label}, ${parts.join(', ')}` : label };
+};
+
+// Formulas for the lines of `text` the rules resolve, in the shape of the AI
+// logic ({ lineIndex: { formula, type, explanation, source: 'rules' } }).
+// `localResults` are the local engine's results for the same text.
+export const resolvePhrases = (text, localResults) => {
+    const lines = text.split('\n');
+    const names = [...new Set(Object.values(localResults).map(res => res?.name).filter(Boolean))];
+    const hasValue = (j) => {
+        const res = localResults[j];
+        return res && res.type !== 'error' && res.type !== 'total' && res.value !== null && !isDateValue(res);
+    };
+    // By name when it is the nearest definition of that name above `idx`
+    const refFor = (idx) => (j) => {
+        const name = localResults[j]?.name;
+        if (!name) return `L{${j}}`;
+        for (let k = j + 1; k < idx; k++) {
+            if (localResults[k]?.name && nameKey(localResults[k].name) === nameKey(name)) return `L{${j}}`;
+        }
+        return name;
+    };
+
+    const logic = {};
+    let sectionStart = 0;
+    lines.forEach((line, idx) => {
+        if (isHeaderLine(line)) {
+            sectionStart = idx + 1;
+            return;
+        }
+        if (!line.trim() || line.trim().startsWith('//') || !aiCanFill(localResults[idx])) return;
+        const section = [];
+        for (let j = sectionStart; j < idx; j++) if (hasValue(j)) section.push(j);
+        const resolved = resolveLine(line, { names, refOf: refFor(idx), section });
+        if (resolved) logic[idx] = { ...resolved, type: 'formula', source: 'rules' };
+    });
+    return logic;
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+import { mergeAiLogic } from './merge';
+import { resolvePhrases } from './phrases';
+
+// The rules' formula for the last line, and the value it comes to
+const resolveLast = (...lines) => {
+    const text = lines.join('\n');
+    const local = evaluateDocument(text);
+    const logic = resolvePhrases(text, local);
+    const idx = lines.length - 1;
+    return { logic: logic[idx], result: mergeAiLogic(text, local, logic)[idx] };
+};
+
+describe('resolvePhrases', () => {
+    it.each([
+        [['Dinner = $120', 'split evenly'], 'L{prev} / 2', 60],
+        [['Dinner = $120', 'per person'], 'L{prev} / 2', 60],
+        [['Dinner = $120', 'split 3 ways'], 'L{prev} / 3', 40],
+        [['Dinner = $120', 'split it between four'], 'L{prev} / 4', 30],
+        [['Dinner = $120', 'Guests = 4', 'split Dinner by Guests'], 'Dinner / Guests', 30],
+        [['Income = $3000', 'Rent = $1200', 'Food = $400', "what's left"], 'Income - Rent - Food', 1400],
+        [['Income = $3000', 'Rent = $1200', 'Food = $400', 'remaining after rent'], 'Income - Rent', 1800],
+        [['Income = $3000', 'Rent = $1200', "What's left per person?"], '(Income - Rent) / 2', 900],
+        [['Rent = $1200', 'double'], 'L{prev} * 2', 2400],
+        [['Rent = $1200', 'twice the previous'], 'L{prev} * 2', 2400],
+        [['Rent = $1200', 'Food = $300', 'triple Rent'], 'Rent * 3', 3600],
+        [['Rent = $1200', 'half'], 'L{prev} / 2', 600],
+        [['Rent = $1200', 'Food = $300', 'half of Rent'], 'Rent / 2', 600],
+        [['Rent = $1200', 'a quarter of that'], 'L{prev} / 4', 300],
+        [['Rent = $1200', '10% of that'], '10% of L{prev}', 120],
+        [['Dinner = $120', 'split evenly {^r1} #food'], 'L{prev} / 2', 60],
+    ])('resolves %j as %s', (lines, formula, value) => {
+        const { logic, result } = resolveLast(...lines);
+        expect(logic).toMatchObject({ formula, type: 'formula', source: 'rules' });
+        expect(result).toMatchObject({ value, currency: 'USD', source: 'rules' });
+    });
+
+    it.each([
+        ['Remember to split the bill'],
+        ['double check the lease'],
+        ['half the guests are vegetarian'],
+        ['what is left to book for the trip'],
+        ['Fill in the deposit later'],
+    ])('leaves the prose line %j for the AI', (line) => {
+        expect(resolveLast('Rent = $1200', line).logic).toBeUndefined();
+    });
+
+    it('leaves lines the local engine resolves, headers and comments alone', () => {
+        const text = 'Rent = $1200\n# Split evenly\n// double\nhalf';
+        expect(Object.keys(resolvePhrases(text, evaluateDocument(text)))).toEqual(['3']);
+    });
+
+    it('takes what is left from the current section only', () => {
+        const { logic } = resolveLast('Savings = $500', '# May', 'Income = $3000', 'Rent = $1200', "what's left");
+        expect(logic.formula).toBe('Income - Rent');
+    });
+
+    it('refers to a line by position when its name is defined again below it', () => {
+        const { logic } = resolveLast('Income = $3000', 'Rent = $1200', 'Rent = $1300', "what's left");
+        expect(logic.formula).toBe('Income - L{1} - Rent');
+    });
+});
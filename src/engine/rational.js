@@ -0,0 +1,119 @@
+// Exact rational numbers on BigInt. Every engine value carries one in `exact`
+// (see values.js), so "0.1 + 0.2" is exactly 0.3 and a long column of money
+// never drifts; the float `value` next to it is only a convenience for
+// comparisons and dates. Rounding happens once, for display (`round`).
+//
+// A Rational is { n, d } with d > 0 and no common factor. It serialises to
+// "n/d" so results stay JSON-safe.
+
+export class Rational {
+    constructor(n, d = 1n) {
+        if (d === 0n) throw new RangeError('Zero denominator');
+        if (d < 0n) {
+            n = -n;
+            d = -d;
+        }
+        const g = gcd(n < 0n ? -n : n, d);
+        this.n = g > 1n ? n / g : n;
+        this.d = g > 1n ? d / g : d;
+    }
+
+    toJSON() {
+        return this.d === 1n ? String(this.n) : `${this.n}/${this.d}`;
+    }
+}
+
+const gcd = (a, b) => {
+    while (b) [a, b] = [b, a % b];
+    return a;
+};
+
+const TEN = 10n;
+const pow10 = (k) => TEN ** BigInt(k);
+
+export const ZERO = new Rational(0n);
+export const ONE = new Rational(1n);
+
+export const isRational = (x) => x instanceof Rational;
+
+// "1234.5", "-0.001", "1.5e-7"
+export const fromDecimalString = (text) => {
+    const m = String(text).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!m || (!m[2] && !m[3])) return null;
+    const frac = m[3] || '';
+    let n = BigInt((m[2] || '0') + frac);
+    let d = pow10(frac.length);
+    const exp = Number(m[4] || 0);
+    if (exp > 0) n *= pow10(exp);
+    if (exp < 0) d *= pow10(-exp);
+    return new Rational(m[1] === '-' ? -n : n, d);
+};
+
+// The decimal a float prints as, so 0.1 becomes exactly 1/10
+export const fromNumber = (x) => (Number.isFinite(x) ? fromDecimalString(String(x)) : null);
+
+export const toNumber = (r) => {
+    const limit = 2n ** 53n;
+    const abs = r.n < 0n ? -r.n : r.n;
+    if (abs < limit && r.d < limit) return Number(r.n) / Number(r.d);
+    return parseFloat(toFixed(r, 20));
+};
+
+export const add = (a, b) => new Rational(a.n * b.d + b.n * a.d, a.d * b.d);
+export const sub = (a, b) => new Rational(a.n * b.d - b.n * a.d, a.d * b.d);
+export const mul = (a, b) => new Rational(a.n * b.n, a.d * b.d);
+export const div = (a, b) => new Rational(a.n * b.d, a.d * b.n);
+export const neg = (a) => new Rational(-a.n, a.d);
+export const abs = (a) => (a.n < 0n ? neg(a) : a);
+export const cmp = (a, b) => {
+    const diff = a.n * b.d - b.n * a.d;
+    return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+};
+export const isZero = (a) => a.n === 0n;
+// Bits in the numerator and denominator together: how costly `a` is to compute with
+export const bitLength = (a) => (a.n < 0n ? -a.n : a.n).toString(2).length + a.d.toString(2).length;
+export const isInteger = (a) => a.d === 1n;
+
+// Whole powers only; anything else is not exact
+export const pow = (a, exponent) => {
+    const e = BigInt(Math.abs(exponent));
+    const result = new Rational(a.n ** e, a.d ** e);
+    return exponent < 0 ? div(ONE, result) : result;
+};
+
+export const ROUNDING_MODES = ['half-up', 'half-even', 'down', 'up', 'floor', 'ceil'];
+
+// Rounds to `digits` fraction digits. 'half-up' rounds halves away from zero,
+// 'half-even' to the even neighbour (banker's rounding), 'down' and 'up'
+// towards and away from zero, 'floor' and 'ceil' towards -∞ and +∞.
+export const round = (a, digits = 0, mode = 'half-up') => {
+    const scale = pow10(digits);
+    const n = a.n * scale;
+    let q = n / a.d;
+    const rem = n % a.d;
+    if (rem !== 0n) {
+        const sign = n < 0n ? -1n : 1n;
+        const twice = (rem < 0n ? -rem : rem) * 2n;
+        const away = {
+            'half-up': twice >= a.d,
+            'half-even': twice > a.d || (twice === a.d && q % 2n !== 0n),
+            'down': false,
+            'up': true,
+            'floor': sign < 0n,
+            'ceil': sign > 0n,
+        }[mode] ?? twice >= a.d;
+        if (away) q += sign;
+    }
+    return new Rational(q, scale);
+};
+
+// Exactly `digits` fraction digits, truncated: "1234.50"
+export const toFixed = (a, digits) => {
+    const scale = pow10(digits);
+    const q = (a.n * scale) / a.d;
+    const negative = q < 0n || (q === 0n && a.n < 0n && digits > 0);
+    const s = (q < 0n ? -q : q).toString().padStart(digits + 1, '0');
+    const int = s.slice(0, s.length - digits);
+    const frac = digits ? '.' + s.slice(s.length - digits) : '';
+    return (negative ? '-' : '') + int + frac;
+};
@@ -0,0 +1,99 @@
+import { anchorLines, commentStart, lineAnchor, resolveName } from './evaluate';
+import { nameKey } from './parser';
+
+// References to other lines, for inserting them into the text from the
+// results column. A line is referred to by its name where that name reaches
+// it, and otherwise through an anchor: "{^id}" at the end of the line, read
+// as "L{^id}". Unlike "L{n}", an anchored reference keeps pointing at its line
+// when lines are inserted or removed above it. Lines without an anchor get a
+// new one ("{^r1}", "{^r2}", ...) when they are first referenced.
+
+const TRAILING_ANCHOR_RE = /(\s)\{\^[A-Za-z][\w-]*\}(?=(?:\s+#[A-Za-z][\w-]*)*\s*$)/;
+
+// `line` ending in the anchor `id` instead of the one it had, before its
+// comment
+const withAnchor = (line, id) => {
+    const cut = commentStart(line);
+    const body = cut >= 0 ? line.slice(0, cut) : line;
+    const comment = cut >= 0 ? line.slice(cut) : '';
+    if (lineAnchor(line)) return body.replace(TRAILING_ANCHOR_RE, `$1{^${id}}`) + comment;
+    const head = body.trimEnd();
+    const gap = body.slice(head.length);
+    return `${head} {^${id}}${gap || (/^\S/.test(comment) ? ' ' : '')}${comment}`;
+};
+
+// The lines that define each local name
+const nameDefs = (results) => {
+    const defs = new Map();
+    Object.entries(results).forEach(([j, res]) => {
+        if (!res?.name || res.source !== 'local') return;
+        const key = nameKey(res.name);
+        if (!defs.has(key)) defs.set(key, []);
+        defs.get(key).push(Number(j));
+    });
+    defs.forEach(at => at.sort((a, b) => a - b));
+    return defs;
+};
+
+// How line `from` can read line `idx` of `text`: { ref, anchor }, where
+// `anchor` is the id line `idx` must be given first (or null). With `from`
+// null the reference may end up on any line, so a name is only used when it
+// is defined once. Null when line `idx` has no value or is line `from`.
+// `results` are the document's results (see mergeAiLogic).
+export const referenceTo = (text, idx, from, results) => {
+    const res = results[idx];
+    if (idx === from || !Number.isFinite(res?.value)) return null;
+
+    // AI lines name things the local engine does not know
+    if (res.name && res.source === 'local') {
+        const defs = nameDefs(results);
+        const key = nameKey(res.name);
+        const reaches = from === null ? defs.get(key).length === 1 : resolveName(defs, key, from) === idx;
+        if (reaches) return { ref: res.name, anchor: null };
+    }
+
+    const lines = text.split('\n');
+    const current = lineAnchor(lines[idx]);
+    if (current && anchorLines(lines).get(current) === idx) return { ref: `L{^${current}}`, anchor: null };
+    const used = new Set(lines.map(lineAnchor));
+    let n = 1;
+    while (used.has(`r${n}`)) n++;
+    return { ref: `L{^r${n}}`, anchor: `r${n}` };
+};
+
+// `text` with line `idx` given the anchor `id`
+export const addAnchor = (text, idx, id) => {
+    const lines = text.split('\n');
+    if (idx >= lines.length) return text;
+    lines[idx] = withAnchor(lines[idx], id);
+    return lines.join('\n');
+};
+
+// Inserts a reference to line `idx` over the selection ({ start, end }
+// offsets) of `text`, anchoring the line if needed. Returns { text, caret }
+// with the caret after the reference, or null when there is nothing to refer
+// to from there.
+export const insertReference = (text, { start, end }, idx, results) => {
+    const from = text.slice(0, start).split('\n').length - 1;
+    const to = text.slice(0, end).split('\n').length - 1;
+    if (idx >= from && idx <= to) return null;
+    const target = referenceTo(text, idx, from, results);
+    if (!target) return null;
+
+    let next = text;
+    let shift = 0;
+    if (target.anchor) {
+        next = addAnchor(text, idx, target.anchor);
+        // The anchor moves the selection when it goes on a line above it
+        if (idx < from) shift = next.length - text.length;
+    }
+    // Not glued to a word or reference next to it ("Rent Fee" rather than
+    // "RentFee", "L{^r1} L{^r2}" rather than "L{^r1}L{^r2}")
+    const before = next[start + shift - 1];
+    const after = next[end + shift];
+    const ref = `${before && /[\w)}]/.test(before) ? ' ' : ''}${target.ref}${after && /[\w({]/.test(after) ? ' ' : ''}`;
+    return {
+        text: next.slice(0, start + shift) + ref + next.slice(end + shift),
+        caret: start + shift + ref.length,
+    };
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+import { insertReference } from './references';
+
+// Inserts a reference to line `idx` at the caret, like a click in the results column
+const insertAt = (text, caret, idx) => insertReference(text, { start: caret, end: caret }, idx, evaluateDocument(text));
+
+describe('insertReference', () => {
+    it('refers to a line by its name where the name reaches it', () => {
+        const text = 'Rent = $2,400\n';
+        expect(insertAt(text, text.length, 0)).toEqual({ text: 'Rent = $2,400\nRent', caret: 18 });
+    });
+
+    it('anchors a line without a name and refers to the anchor', () => {
+        const text = '100 // base\n\n';
+        expect(insertAt(text, text.length, 0)).toEqual({ text: '100 {^r1} // base\n\nL{^r1}', caret: 25 });
+    });
+
+    it('keeps consecutive references apart', () => {
+        let text = '100\n200\nRent = 5\n';
+        let caret = text.length;
+        [0, 1, 2].forEach((idx) => ({ text, caret } = insertAt(text, caret, idx)));
+        expect(text).toBe('100 {^r1}\n200 {^r2}\nRent = 5\nL{^r1} L{^r2} Rent');
+        expect(caret).toBe(text.length);
+    });
+
+    it('keeps a reference apart from a reference or name after it', () => {
+        const first = insertAt('100\nRent = 5\nRent', 13, 0);
+        expect(first.text).toBe('100 {^r1}\nRent = 5\nL{^r1} Rent');
+        const second = insertAt('100 {^r1}\n200\nL{^r1}', 14, 1);
+        expect(second.text).toBe('100 {^r1}\n200 {^r2}\nL{^r2} L{^r1}');
+    });
+
+    it('does not add spaces next to operators', () => {
+        const text = '100\n(2 + )';
+        expect(insertAt(text, 9, 0).text).toBe('100 {^r1}\n(2 + L{^r1})');
+    });
+
+    it('refuses to refer a line to itself', () => {
+        expect(insertAt('100', 3, 0)).toBeNull();
+    });
+});
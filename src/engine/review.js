@@ -0,0 +1,114 @@
+import { DEFAULT_RATES } from './currency';
+import { evaluateDocument, extractTags, isName, lineAnchor, splitAnchor } from './evaluate';
+import { mergeAiLogic } from './merge';
+import { nameKey } from './parser';
+import { addAnchor, referenceTo } from './references';
+
+// Accepting or rejecting what the AI inferred for a line (see merge.js).
+//
+// Accepting rewrites the line into a formula the local engine computes on its
+// own, so it no longer depends on the model: "Name = expr" when the model
+// named the result, "Label: expr" when the line reads as a label ("Split
+// evenly per person: L{prev} / 2"), otherwise "expr // original text". Names
+// that only the AI defined, on lines it still resolves, become anchored line
+// references ("L{^r1}", see references.js), so they keep pointing at their
+// lines when lines move; those lines get the anchor. The rewrite is only
+// offered when it gets the same value with the other AI lines still filled in
+// (see mergeAiLogic), so a formula that reads other AI lines can be accepted
+// before them.
+//
+// Rejecting pins the line as a note ("// text"); comment lines are never sent
+// to the AI.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Name = expr" -> [name, expr]
+const splitFormula = (formula) => {
+    const eqIdx = formula.indexOf('=');
+    if (eqIdx <= 0) return [null, formula.trim()];
+    return [formula.slice(0, eqIdx).trim(), formula.slice(eqIdx + 1).trim()];
+};
+
+// Replaces the names defined by AI lines other than `idx` with references to
+// their lines. Returns { expr, text } with `text` anchoring the lines it
+// refers to, or null when such a line has no value to refer to.
+const inlineAiNames = (expr, text, idx, results) => {
+    const aiNames = [];
+    Object.entries(results).forEach(([j, res]) => {
+        if (Number(j) === idx || res?.source !== 'ai' || res.type === 'error' || !res.formula) return;
+        const [name] = splitFormula(res.formula);
+        if (name) aiNames.push([name, Number(j)]);
+    });
+    // Longest first, so "Total Cost" is replaced before "Cost"
+    aiNames.sort((a, b) => b[0].length - a[0].length);
+    return aiNames.reduce((acc, [name, j]) => {
+        if (!acc) return null;
+        const pattern = name.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+        const re = new RegExp(`(?<![\\w{^])${pattern}(?!\\w)`, 'gi');
+        if (!re.test(acc.expr)) return acc;
+        const target = referenceTo(acc.text, j, idx, results);
+        if (!target) return null;
+        return {
+            expr: acc.expr.replace(re, target.ref),
+            text: target.anchor ? addAnchor(acc.text, j, target.anchor) : acc.text,
+        };
+    }, { expr, text });
+};
+
+// The logic of the lines other than `idx` that the AI (or the phrase rules)
+// filled, as mergeAiLogic takes it
+const otherAiLogic = (idx, results) => {
+    const logic = {};
+    Object.entries(results).forEach(([j, res]) => {
+        if (Number(j) === idx || !['ai', 'rules'].includes(res?.source) || res.type === 'error' || !res.formula) return;
+        const { formula, type, format, explanation, source } = res;
+        logic[j] = { formula, type, format, explanation, source };
+    });
+    return logic;
+};
+
+const sameValue = (a, b) => (
+    a.value === b.value && JSON.stringify(a.unit ?? null) === JSON.stringify(b.unit ?? null)
+);
+
+// What accepting the AI result of line `idx` writes: { line, text }, the new
+// line and the whole new text (with the anchors it refers to), or null when it
+// cannot be accepted. `results` are the merged results.
+export const acceptedLine = (text, idx, results, { rates = DEFAULT_RATES, now = new Date() } = {}) => {
+    const result = results[idx];
+    if (result?.source !== 'ai' || result.type === 'error' || !result.formula || result.value === null) return null;
+
+    const raw = text.split('\n')[idx];
+    const indent = raw.slice(0, raw.length - raw.trimStart().length);
+    // The line keeps its anchor, other lines may refer to it
+    const { body: label } = splitAnchor(raw.replace(/#[A-Za-z][\w-]*/g, '').trim());
+    const anchor = lineAnchor(raw);
+    const tags = extractTags(raw).map(tag => ` #${tag}`).join('');
+
+    const [name, formulaExpr] = splitFormula(result.formula);
+    // A name the accepted line defines must not take over another definition
+    if (name && Object.entries(results).some(([j, res]) => Number(j) !== idx && res?.name && nameKey(res.name) === nameKey(name))) return null;
+    const inlined = inlineAiNames(formulaExpr, text, idx, results);
+    if (!inlined) return null;
+    const { expr } = inlined;
+    let line;
+    if (name && isName(name)) line = `${name} = ${expr}`;
+    else if (label && isName(label)) line = `${label}: ${expr}`;
+    else line = label ? `${expr} // ${label}` : expr;
+    line = indent + line + tags;
+    if (anchor) line = addAnchor(line, 0, anchor);
+
+    const nextLines = inlined.text.split('\n');
+    nextLines[idx] = line;
+    const next = nextLines.join('\n');
+    const local = evaluateDocument(next, { rates, now });
+    const merged = mergeAiLogic(next, local, otherAiLogic(idx, results), { rates, now })[idx];
+    if (merged?.source !== 'local' || merged.type === 'error' || !sameValue(merged, result)) return null;
+    return { line, text: next };
+};
+
+// Line `line` pinned as a note
+export const noteLine = (line) => {
+    const indent = line.slice(0, line.length - line.trimStart().length);
+    return `${indent}// ${line.trim()}`;
+};
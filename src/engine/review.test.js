@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+import { mergeAiLogic } from './merge';
+import { acceptedLine, noteLine } from './review';
+
+const NOW = new Date(2026, 0, 15, 12, 0);
+const item = (formula, type = 'formula') => ({ formula, type, explanation: formula });
+const merged = (text, logic) => mergeAiLogic(text, evaluateDocument(text, { now: NOW }), logic, { now: NOW });
+const accept = (text, idx, logic) => acceptedLine(text, idx, merged(text, logic), { now: NOW });
+
+const TEXT = ['the venue costs five hundred', 'the stage is two hundred', 'fixed costs', 'twice that for two nights'].join('\n');
+const LOGIC = {
+    0: item('Venue = 500', 'variable'),
+    1: item('Stage = 200', 'variable'),
+    2: item('Total Fixed Costs = Venue + Stage'),
+    3: item('Total Fixed Costs * 2'),
+};
+
+describe('accepting an AI line', () => {
+    it('writes the formula the AI inferred as a local line', () => {
+        expect(accept(TEXT, 0, LOGIC)).toEqual({
+            line: 'Venue = 500',
+            text: TEXT.replace('the venue costs five hundred', 'Venue = 500'),
+        });
+        expect(accept('  #gig about forty for the band', 0, { 0: item('40') }).line).toBe('  about forty for the band: 40 #gig');
+        expect(accept('forty-ish, maybe more', 0, { 0: item('40') }).line).toBe('40 // forty-ish, maybe more');
+    });
+
+    it('accepts a formula that reads other AI lines, anchoring them', () => {
+        const { line, text } = accept(TEXT, 2, LOGIC);
+        expect(line).toBe('Total Fixed Costs = L{^r1} + L{^r2}');
+        expect(text.split('\n')).toEqual([
+            'the venue costs five hundred {^r1}',
+            'the stage is two hundred {^r2}',
+            'Total Fixed Costs = L{^r1} + L{^r2}',
+            'twice that for two nights',
+        ]);
+        expect(merged(text, { 0: LOGIC[0], 1: LOGIC[1], 3: LOGIC[3] })[2]).toMatchObject({ value: 700, source: 'local' });
+    });
+
+    it('keeps the references when lines are added above the accepted ones', () => {
+        let text = TEXT;
+        let logic = LOGIC;
+        // Accept every line, last one first
+        [3, 2, 1, 0].forEach((idx) => {
+            text = accept(text, idx, logic).text;
+            logic = Object.fromEntries(Object.entries(logic).filter(([j]) => Number(j) !== idx));
+        });
+        const results = evaluateDocument(`# Gig\n\n${text}`, { now: NOW });
+        expect(results[5]).toMatchObject({ value: 1400, source: 'local' });
+    });
+
+    it('refers to a line by the anchor it already has, and keeps it', () => {
+        const text = TEXT.replace('two hundred', 'two hundred {^stage}');
+        expect(accept(text, 2, LOGIC).line).toBe('Total Fixed Costs = L{^r1} + L{^stage}');
+        expect(accept(text, 1, LOGIC).line).toBe('Stage = 200 {^stage}');
+    });
+
+    it('offers nothing it cannot write as a local formula', () => {
+        // The AI's answer was rejected
+        expect(accept('some prose', 0, { 0: item('alert(1)') })).toBeNull();
+        // The name is already defined on a local line
+        expect(accept('Venue = 100\nthe venue costs five hundred', 1, { 1: item('Venue = 500', 'variable') })).toBeNull();
+        // A local line
+        expect(accept('2 + 2', 0, {})).toBeNull();
+    });
+});
+
+describe('rejecting an AI line', () => {
+    it('pins the line as a note, keeping its indent', () => {
+        expect(noteLine('  the venue costs five hundred')).toBe('  // the venue costs five hundred');
+    });
+
+    it('leaves the note to the local engine', () => {
+        const text = noteLine('the venue costs five hundred');
+        expect(merged(text, { 0: LOGIC[0] })[0]).toBeUndefined();
+    });
+});
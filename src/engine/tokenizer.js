@@ -0,0 +1,73 @@
+import { CURRENCY_SYMBOLS } from './currency';
+import { CalcError } from './errors';
+
+// Splits an expression into tokens. Every token carries its source offsets
+// ({ type, value, text, start, end }) so errors can point at a column.
+//
+//   number    "2400", "0.5"   (grouping commas are joined by the parser)
+//   date      "2026-12-01", "2026-12-01 14:30"; value is { year, month, day, hour, minute }
+//   time      "9:30", "5pm", "9:30 am"; value is { hour, minute }
+//   currency  "$", "€", "£", "¥" ...; value is the ISO code
+//   word      "Rent", "sqrt", "km", "°C"
+//   lineRef   "L{3}", "L3", "L{prev}", "L{^trip}"; value is a line index, 'prev'
+//             or the anchor with its '^' ('^trip')
+//   op        + - * / ^ %      (× ÷ − and ** are accepted as aliases)
+//   lparen, rparen, comma
+
+const RULES = [
+    ['lineRef', /^L\{(\d+|prev|\^[A-Za-z][\w-]*)\}/i],
+    ['lineRef', /^L(\d+)(?![\w])/],
+    ['date', /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?/],
+    ['time', /^(\d{1,2}):(\d{2})(?:\s*([ap]m)(?![A-Za-z]))?/i],
+    ['time', /^(\d{1,2})()\s*([ap]m)(?![A-Za-z])/i],
+    ['number', /^(\d+(?:\.\d+)?|\.\d+)/],
+    ['word', /^[A-Za-z_][A-Za-z0-9_]*/],
+    ['word', /^°[CF]/],
+    ['op', /^(\*\*|[+\-*/^%×÷−])/],
+    ['currency', /^[$€£¥₹₩]/],
+    ['lparen', /^\(/],
+    ['rparen', /^\)/],
+    ['comma', /^,/],
+];
+
+const OP_ALIASES = { '×': '*', '÷': '/', '−': '-', '**': '^' };
+
+export const tokenize = (src) => {
+    const tokens = [];
+    let pos = 0;
+    while (pos < src.length) {
+        const rest = src.slice(pos);
+        const ws = rest.match(/^\s+/);
+        if (ws) {
+            pos += ws[0].length;
+            continue;
+        }
+
+        const rule = RULES.find(([, re]) => re.test(rest));
+        if (!rule) {
+            throw new CalcError('syntax', `Unexpected character "${rest[0]}"`, { start: pos, end: pos + 1 });
+        }
+
+        const [type, re] = rule;
+        const m = rest.match(re);
+        const text = m[0];
+        let value = text;
+        if (type === 'number') value = parseFloat(text);
+        else if (type === 'lineRef') value = /^\d/.test(m[1]) ? parseInt(m[1], 10) : m[1].toLowerCase();
+        else if (type === 'op') value = OP_ALIASES[text] || text;
+        else if (type === 'currency') value = CURRENCY_SYMBOLS[text];
+        else if (type === 'date') {
+            value = { year: +m[1], month: +m[2] - 1, day: +m[3], hour: m[4] ? +m[4] : null, minute: m[5] ? +m[5] : 0 };
+        } else if (type === 'time') {
+            const meridiem = m[3]?.toLowerCase();
+            let hour = +m[1];
+            if (meridiem === 'pm' && hour < 12) hour += 12;
+            if (meridiem === 'am' && hour === 12) hour = 0;
+            value = { hour, minute: m[2] ? +m[2] : 0 };
+        }
+
+        tokens.push({ type, value, text, start: pos, end: pos + text.length });
+        pos += text.length;
+    }
+    return tokens;
+};
@@ -0,0 +1,39 @@
+// Precedents and dependents of a line, from the `inputs` every result lists
+// (see evaluate.js and mergeAiLogic). For line `line`:
+//
+//   precedents   Map of the lines its value comes from -> distance (1: read
+//                directly, 2: read by one of those, ...)
+//   dependents   the same for the lines that use its value
+//   from, to     the first and last line of the trace, `line` included
+//
+// Names, line references, "L{prev}", tag sums, totals and AI lines all count.
+// Lines without a result (blank lines a total walked over) are left out.
+
+const walk = (start, next, results) => {
+    const seen = new Map();
+    let frontier = [start];
+    for (let distance = 1; frontier.length; distance++) {
+        const reached = [];
+        frontier.forEach(j => next(j).forEach((k) => {
+            if (k === start || seen.has(k) || !results[k]) return;
+            seen.set(k, distance);
+            reached.push(k);
+        }));
+        frontier = reached;
+    }
+    return seen;
+};
+
+// The trace of line `line` in `results`, or null when it has no result
+export const traceLine = (results, line) => {
+    if (line === null || line === undefined || !results[line]) return null;
+    const users = new Map();
+    Object.entries(results).forEach(([j, res]) => res?.inputs?.forEach((k) => {
+        if (!users.has(k)) users.set(k, []);
+        users.get(k).push(Number(j));
+    }));
+    const precedents = walk(line, j => results[j]?.inputs || [], results);
+    const dependents = walk(line, j => users.get(j) || [], results);
+    const all = [line, ...precedents.keys(), ...dependents.keys()];
+    return { line, precedents, dependents, from: Math.min(...all), to: Math.max(...all) };
+};
@@ -0,0 +1,221 @@
+import { CalcError } from './errors';
+import * as R from './rational';
+
+// Units of measure. A unit expression is a plain object of unit name -> power,
+// e.g. { km: 1, h: -1 } for km/h; null (or {}) means dimensionless. Each named
+// unit maps onto base dimensions with a factor to the SI base unit, plus an
+// offset for the temperature scales. Factors and offsets that have no exact
+// decimal (°F) are given as Rationals; `exact` holds both as Rationals for
+// convertExact, while `factor` and `offset` stay floats.
+
+const DIMENSIONS = ['length', 'mass', 'time', 'data', 'temperature', 'workday'];
+
+const toRational = (x) => (R.isRational(x) ? x : R.fromNumber(x));
+const toFloat = (x) => (R.isRational(x) ? R.toNumber(x) : x);
+const define = (dims, factor, aliases, offset = 0) => ({
+    dims,
+    factor: toFloat(factor),
+    aliases,
+    offset: toFloat(offset),
+    exact: { factor: toRational(factor), offset: toRational(offset) },
+});
+
+const L = { length: 1 };
+const M = { mass: 1 };
+const T = { time: 1 };
+const D = { data: 1 };
+const K = { temperature: 1 };
+const AREA = { length: 2 };
+const VOLUME = { length: 3 };
+
+const DAY = 86400;
+
+export const UNITS = {
+    // length (m)
+    mm: define(L, 0.001, ['millimeter', 'millimeters', 'millimetre', 'millimetres']),
+    cm: define(L, 0.01, ['centimeter', 'centimeters', 'centimetre', 'centimetres']),
+    m: define(L, 1, ['meter', 'meters', 'metre', 'metres']),
+    km: define(L, 1000, ['kilometer', 'kilometers', 'kilometre', 'kilometres']),
+    inch: define(L, 0.0254, ['inches']),
+    ft: define(L, 0.3048, ['foot', 'feet']),
+    yd: define(L, 0.9144, ['yard', 'yards']),
+    mi: define(L, 1609.344, ['mile', 'miles']),
+    nmi: define(L, 1852, ['nautical_mile', 'nautical_miles']),
+
+    // mass (kg)
+    mg: define(M, 1e-6, ['milligram', 'milligrams']),
+    g: define(M, 0.001, ['gram', 'grams']),
+    kg: define(M, 1, ['kilogram', 'kilograms', 'kilo', 'kilos']),
+    t: define(M, 1000, ['tonne', 'tonnes']),
+    oz: define(M, 0.028349523125, ['ounce', 'ounces']),
+    lb: define(M, 0.45359237, ['lbs', 'pound', 'pounds']),
+
+    // time (s)
+    ms: define(T, 0.001, ['millisecond', 'milliseconds']),
+    s: define(T, 1, ['sec', 'secs', 'second', 'seconds']),
+    min: define(T, 60, ['mins', 'minute', 'minutes']),
+    h: define(T, 3600, ['hr', 'hrs', 'hour', 'hours']),
+    day: define(T, DAY, ['days']),
+    week: define(T, 7 * DAY, ['wk', 'wks', 'weeks']),
+    month: define(T, 365.25 / 12 * DAY, ['mo', 'months']),
+    year: define(T, 365.25 * DAY, ['yr', 'yrs', 'years']),
+
+    // working days (Mon-Fri); only meaningful next to dates, see dates.js
+    workday: define({ workday: 1 }, 1, ['workdays', 'businessday', 'businessdays']),
+
+    // data (bytes); SI prefixes are powers of 1000, IEC prefixes powers of 1024
+    bit: define(D, 0.125, ['bits']),
+    B: define(D, 1, ['byte', 'bytes']),
+    KB: define(D, 1e3, ['kB', 'kilobyte', 'kilobytes']),
+    MB: define(D, 1e6, ['megabyte', 'megabytes']),
+    GB: define(D, 1e9, ['gigabyte', 'gigabytes']),
+    TB: define(D, 1e12, ['terabyte', 'terabytes']),
+    PB: define(D, 1e15, ['petabyte', 'petabytes']),
+    KiB: define(D, 1024, ['kibibyte', 'kibibytes']),
+    MiB: define(D, 1024 ** 2, ['mebibyte', 'mebibytes']),
+    GiB: define(D, 1024 ** 3, ['gibibyte', 'gibibytes']),
+    TiB: define(D, 1024 ** 4, ['tebibyte', 'tebibytes']),
+
+    // area (m²)
+    sqm: define(AREA, 1, ['m2']),
+    sqft: define(AREA, 0.09290304, ['ft2']),
+    sqkm: define(AREA, 1e6, ['km2']),
+    acre: define(AREA, 4046.8564224, ['acres']),
+    ha: define(AREA, 1e4, ['hectare', 'hectares']),
+
+    // volume (m³)
+    ml: define(VOLUME, 1e-6, ['mL', 'milliliter', 'milliliters', 'millilitre', 'millilitres']),
+    l: define(VOLUME, 0.001, ['L', 'liter', 'liters', 'litre', 'litres']),
+    gal: define(VOLUME, 0.003785411784, ['gallon', 'gallons']),
+    qt: define(VOLUME, 0.000946352946, ['quart', 'quarts']),
+    pt: define(VOLUME, 0.000473176473, ['pint', 'pints']),
+    cup: define(VOLUME, 0.0002365882365, ['cups']),
+
+    // temperature (K)
+    K: define(K, 1, ['kelvin']),
+    '°C': define(K, 1, ['celsius', 'degC'], 273.15),
+    '°F': define(K, new R.Rational(5n, 9n), ['fahrenheit', 'degF'], new R.Rational(45967n, 180n)),
+};
+
+// Symbols are case-sensitive ("m" is not "M"); spelled-out names are not.
+const ALIASES = new Map();
+const LONG_ALIASES = new Map();
+for (const [name, def] of Object.entries(UNITS)) {
+    for (const alias of [name, ...def.aliases]) {
+        ALIASES.set(alias, name);
+        if (alias.length > 3) LONG_ALIASES.set(alias.toLowerCase(), name);
+    }
+}
+
+export const lookupUnit = (word) => ALIASES.get(word) || LONG_ALIASES.get(word.toLowerCase()) || null;
+
+// Words that stand for a compound unit
+const SHORTHANDS = {
+    mph: { mi: 1, h: -1 },
+    kph: { km: 1, h: -1 },
+    kmh: { km: 1, h: -1 },
+};
+
+// Unit expression for a single word ("km" -> { km: 1 }), or null
+export const parseUnitWord = (word) => {
+    if (SHORTHANDS[word.toLowerCase()]) return { ...SHORTHANDS[word.toLowerCase()] };
+    const name = lookupUnit(word);
+    return name ? { [name]: 1 } : null;
+};
+
+export const isDimensionless = (unit) => !unit || Object.keys(unit).length === 0;
+
+export const unitDims = (unit) => {
+    const dims = {};
+    for (const [name, power] of Object.entries(unit || {})) {
+        for (const [dim, p] of Object.entries(UNITS[name].dims)) {
+            dims[dim] = (dims[dim] || 0) + p * power;
+            if (!dims[dim]) delete dims[dim];
+        }
+    }
+    return dims;
+};
+
+export const sameDims = (a, b) => {
+    const da = unitDims(a);
+    const db = unitDims(b);
+    return DIMENSIONS.every(dim => (da[dim] || 0) === (db[dim] || 0));
+};
+
+const unitFactor = (unit) => Object.entries(unit || {})
+    .reduce((f, [name, power]) => f * Math.pow(UNITS[name].factor, power), 1);
+
+// A single temperature unit converts as an absolute reading (°C -> °F uses the
+// offset); anywhere else only the factor applies.
+const singleOffsetUnit = (unit) => {
+    const entries = Object.entries(unit || {});
+    return entries.length === 1 && entries[0][1] === 1 && UNITS[entries[0][0]].offset ? entries[0][0] : null;
+};
+
+export const convertAmount = (amount, from, to) => {
+    if (!sameDims(from, to)) {
+        throw new CalcError('unit-mismatch', `Cannot convert ${formatUnit(from) || 'a number'} to ${formatUnit(to) || 'a number'}`);
+    }
+    const fromOffset = UNITS[singleOffsetUnit(from)]?.offset || 0;
+    const toOffset = UNITS[singleOffsetUnit(to)]?.offset || 0;
+    const base = amount * unitFactor(from) + fromOffset;
+    return (base - toOffset) / unitFactor(to);
+};
+
+// convertAmount on an exact Rational amount (see rational.js)
+const exactFactor = (unit) => Object.entries(unit || {})
+    .reduce((f, [name, power]) => R.mul(f, R.pow(UNITS[name].exact.factor, power)), R.ONE);
+
+export const convertExact = (amount, from, to) => {
+    if (!sameDims(from, to)) {
+        throw new CalcError('unit-mismatch', `Cannot convert ${formatUnit(from) || 'a number'} to ${formatUnit(to) || 'a number'}`);
+    }
+    const fromOffset = UNITS[singleOffsetUnit(from)]?.exact.offset || R.ZERO;
+    const toOffset = UNITS[singleOffsetUnit(to)]?.exact.offset || R.ZERO;
+    const base = R.add(R.mul(amount, exactFactor(from)), fromOffset);
+    return R.div(R.sub(base, toOffset), exactFactor(to));
+};
+
+// Multiplies (sign 1) or divides (sign -1) two unit expressions. Units of the
+// same dimension are folded into the left-hand unit, so GB / (MB/s) comes out
+// in seconds; `scale` is the exact factor (a Rational) to apply to the amount.
+export const combineUnits = (a, b, sign) => {
+    const unit = { ...(a || {}) };
+    let scale = R.ONE;
+    for (const [name, power] of Object.entries(b || {})) {
+        const p = power * sign;
+        const dims = UNITS[name].dims;
+        const match = unit[name] ? name : Object.keys(unit).find(n => sameDims({ [n]: 1 }, { [name]: 1 }) && Object.keys(dims).length === 1);
+        if (match && match !== name) {
+            scale = R.mul(scale, R.pow(R.div(UNITS[name].exact.factor, UNITS[match].exact.factor), p));
+        }
+        const target = match || name;
+        unit[target] = (unit[target] || 0) + p;
+        if (!unit[target]) delete unit[target];
+    }
+    return { unit: Object.keys(unit).length ? unit : null, scale };
+};
+
+export const powUnit = (unit, exponent) => {
+    if (isDimensionless(unit)) return null;
+    if (!Number.isInteger(exponent)) throw new CalcError('unit-mismatch', 'Units can only be raised to whole powers');
+    return Object.fromEntries(Object.entries(unit).map(([name, p]) => [name, p * exponent]));
+};
+
+const SUPERSCRIPT = { 2: '²', 3: '³' };
+const unitPart = (name, power) => name + (power === 1 ? '' : SUPERSCRIPT[power] || '^' + power);
+
+// Spelled-out units read better pluralised: "3 days", "1 week"
+const PLURAL = new Set(['day', 'week', 'month', 'year', 'workday', 'acre', 'cup']);
+
+export const formatUnit = (unit, amount = 1) => {
+    if (isDimensionless(unit)) return '';
+    const entries = Object.entries(unit);
+    if (entries.length === 1 && entries[0][1] === 1 && PLURAL.has(entries[0][0]) && Math.abs(amount) !== 1) {
+        return entries[0][0] + 's';
+    }
+    const num = entries.filter(([, p]) => p > 0).map(([n, p]) => unitPart(n, p)).join('·');
+    const den = entries.filter(([, p]) => p < 0).map(([n, p]) => unitPart(n, -p)).join('·');
+    if (!den) return num;
+    return (num || '') + '/' + den;
+};
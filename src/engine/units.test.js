@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+
+const run = (...lines) => evaluateDocument(lines.join('\n'));
+
+describe('units', () => {
+    it.each([
+        ['12 km in miles', 7.456454306848007, { mi: 1 }],
+        ['3 hours * 20', 60, { h: 1 }],
+        ['500 GB / 20 MB/s in minutes', 416.6666666666667, { min: 1 }],
+        ['150 in km', 150, { km: 1 }],
+    ])('evaluates %s', (expr, value, unit) => {
+        expect(run(expr)[0]).toMatchObject({ value, unit });
+    });
+
+    it.each([
+        ['32 °F in °C', '0'],
+        ['100 °C in °F', '212'],
+        ['-40 °C in fahrenheit', '-40'],
+        ['0 K in °F', '-45967/100'],
+        ['98.6 °F in K', '6203/20'],
+    ])('converts temperatures exactly: %s', (expr, exact) => {
+        expect(run(expr)[0].exact.toJSON()).toBe(exact);
+    });
+
+    it('rejects adding quantities of different dimensions', () => {
+        expect(run('3 m + 2 s')[0]).toMatchObject({ type: 'error', error: { code: 'unit-mismatch' } });
+    });
+
+    it('converts money between currencies, also per unit', () => {
+        expect(run('€10 in USD')[0]).toMatchObject({ format: 'currency', currency: 'USD', unit: null });
+        expect(run('$150/hour in EUR')[0]).toMatchObject({ format: 'currency', currency: 'EUR', unit: { h: -1 } });
+        expect(run('5 in USD')[0]).toMatchObject({ value: 5, currency: 'USD' });
+    });
+
+    it.each([
+        ['€10 in km', 'Cannot convert money to km'],
+        ['$20 to hours', 'Cannot convert money to h'],
+        ['5 kg in USD', 'Cannot convert kg to USD'],
+        ['3 km/h in EUR', 'Cannot convert km/h to EUR'],
+    ])('rejects %s', (expr, message) => {
+        expect(run(expr)[0]).toMatchObject({ type: 'error', error: { code: 'unit-mismatch', message } });
+    });
+});
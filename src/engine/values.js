@@ -0,0 +1,228 @@
+import { convertCurrencyExact } from './currency';
+import { dateDifference, isDateValue, shiftDate } from './dates';
+import { CalcError } from './errors';
+import * as R from './rational';
+import { combineUnits, convertExact, formatUnit, isDimensionless, powUnit, sameDims } from './units';
+
+// Arithmetic on engine values: { value, exact, format, unit, currency }.
+// `exact` is the amount as a Rational (rational.js) expressed in `unit` (null
+// for plain numbers) and `value` the same amount as a float. All arithmetic is
+// done on `exact`, so money never picks up rounding errors; only functions such
+// as sqrt(), fractional powers and amounts too large to keep exact (see
+// MAX_EXACT_BITS) fall back to floats. Money has format 'currency' and an ISO
+// code in `currency`. Every operator and function in the interpreter goes
+// through here so unit, currency and format rules live in one place. `ctx` is
+// { rates, node }: the exchange rate table and the AST node for error
+// positions.
+//
+// Format rules: currency literals are 'currency'; adding, subtracting or
+// scaling money keeps it money; money / money is a plain ratio. When both
+// sides are money the right side is converted into the left side's currency.
+// Dates only take part in addition and subtraction (see dates.js).
+//
+// Percentages have format 'percent' and hold the ratio (5% is 0.05). Adding or
+// subtracting one changes the other side by that share ("$80 - 5%" is $76);
+// multiplying takes that share ("20% of 150"). Percent with percent stays a
+// percentage.
+
+// `exact` defaults to the decimal the float prints as
+export const makeValue = (value, format = 'number', unit = null, currency = null, exact = R.fromNumber(value)) => ({
+    value,
+    exact,
+    format,
+    unit: isDimensionless(unit) ? null : unit,
+    currency: format === 'currency' ? currency || 'USD' : null
+});
+
+const fromExact = (exact, format, unit, currency) => makeValue(R.toNumber(exact), format, unit, currency, exact);
+
+// Results that could only be computed on floats; NaN and Infinity have no exact
+// value, so they end the expression instead of flowing on
+const fromFloat = (value, format, unit, currency) => {
+    if (!Number.isFinite(value)) throw new CalcError('invalid-number', 'The result is not a real number');
+    return makeValue(value, format, unit, currency);
+};
+
+const exactOf = (v) => v.exact ?? R.fromNumber(v.value);
+
+// Exact amounts stay below this many bits. Multiplying and dividing add up the
+// sizes of the operands and powers multiply them, so a few lines of "x ^ 100"
+// would otherwise build BigInts that take seconds on every keystroke; past the
+// limit those operations are done on floats, which is all the display shows.
+const MAX_EXACT_BITS = 4096;
+
+const fitsExact = (...amounts) => amounts.reduce((bits, x) => bits + R.bitLength(x), 0) <= MAX_EXACT_BITS;
+
+// A copy of a line result or variable as a plain value
+export const copyValue = (v) => makeValue(v.value, v.format, v.unit, v.currency, exactOf(v));
+
+const alignCurrency = (a, b, ctx) => {
+    if (!a.currency || !b.currency || a.currency === b.currency) return b;
+    return fromExact(convertCurrencyExact(exactOf(b), b.currency, a.currency, ctx?.rates), b.format, b.unit, a.currency);
+};
+
+const mismatch = (a, b, verb) => new CalcError(
+    'unit-mismatch',
+    `Cannot ${verb} ${formatUnit(a.unit) || 'a number'} and ${formatUnit(b.unit) || 'a number'}`
+);
+
+const noDates = (...args) => {
+    if (args.some(isDateValue)) throw new CalcError('unit-mismatch', 'Dates can only be added to or subtracted from');
+};
+
+const combineFormat = (op, a, b) => {
+    const ca = a === 'currency';
+    const cb = b === 'currency';
+    const pa = a === 'percent';
+    const pb = b === 'percent';
+    if (op === '/' && pa) return pb ? 'number' : 'percent';
+    if (op === '/') return ca && !cb ? 'currency' : 'number';
+    if (op === '*' && (pa || pb)) return pa && pb ? 'percent' : pa ? b : a;
+    if (op === '+' && pa && pb) return 'percent';
+    if (op === '^') return a;
+    return ca || cb ? 'currency' : 'number';
+};
+
+// Addition and subtraction: a bare number adopts the other side's unit
+// ("3 km + 2" is 5 km); otherwise the right side is converted into the left
+// side's unit and mismatched dimensions are an error.
+const addDates = (a, b, sign) => {
+    if (isDateValue(a) && isDateValue(b)) {
+        if (sign > 0) throw new CalcError('unit-mismatch', 'Cannot add two dates');
+        const diff = dateDifference(a, b);
+        return makeValue(diff.value, 'number', diff.unit);
+    }
+    const [date, duration] = isDateValue(a) ? [a, b] : [b, a];
+    if (!isDateValue(a) && sign < 0) throw new CalcError('unit-mismatch', 'Cannot subtract a date from a duration');
+    const shifted = shiftDate(date, duration, sign);
+    return makeValue(shifted.value, shifted.format);
+};
+
+const addLike = (a, b, sign, ctx) => {
+    if (isDateValue(a) || isDateValue(b)) return addDates(a, b, sign);
+    const combine = sign > 0 ? R.add : R.sub;
+    if (b.format === 'percent' && a.format !== 'percent') {
+        if (!fitsExact(exactOf(a), exactOf(b))) return fromFloat(a.value + sign * a.value * b.value, a.format, a.unit, a.currency);
+        return fromExact(combine(exactOf(a), R.mul(exactOf(a), exactOf(b))), a.format, a.unit, a.currency);
+    }
+    const format = combineFormat('+', a.format, b.format);
+    const currency = a.currency || b.currency;
+    b = alignCurrency(a, b, ctx);
+    if (isDimensionless(a.unit) || isDimensionless(b.unit)) {
+        return fromExact(combine(exactOf(a), exactOf(b)), format, a.unit || b.unit, currency);
+    }
+    if (!sameDims(a.unit, b.unit)) throw mismatch(a, b, sign > 0 ? 'add' : 'subtract');
+    return fromExact(combine(exactOf(a), convertExact(exactOf(b), b.unit, a.unit)), format, a.unit, currency);
+};
+
+export const add = (a, b, ctx) => addLike(a, b, 1, ctx);
+export const subtract = (a, b, ctx) => addLike(a, b, -1, ctx);
+
+export const multiply = (a, b) => {
+    noDates(a, b);
+    const { unit, scale } = combineUnits(a.unit, b.unit, 1);
+    const format = combineFormat('*', a.format, b.format);
+    if (!fitsExact(exactOf(a), exactOf(b), scale)) return fromFloat(a.value * b.value * R.toNumber(scale), format, unit, a.currency || b.currency);
+    return fromExact(R.mul(R.mul(exactOf(a), exactOf(b)), scale), format, unit, a.currency || b.currency);
+};
+
+export const divide = (a, b, ctx) => {
+    noDates(a, b);
+    b = alignCurrency(a, b, ctx);
+    if (R.isZero(exactOf(b))) throw new CalcError('divide-by-zero', 'Division by zero', ctx?.node);
+    const { unit, scale } = combineUnits(a.unit, b.unit, -1);
+    const format = combineFormat('/', a.format, b.format);
+    if (!fitsExact(exactOf(a), exactOf(b), scale)) return fromFloat(a.value / b.value * R.toNumber(scale), format, unit, a.currency);
+    return fromExact(R.mul(R.div(exactOf(a), exactOf(b)), scale), format, unit, a.currency);
+};
+
+export const power = (a, b) => {
+    noDates(a, b);
+    if (!isDimensionless(b.unit)) throw new CalcError('unit-mismatch', 'An exponent cannot have a unit');
+    const format = combineFormat('^', a.format, b.format);
+    const unit = powUnit(a.unit, b.value);
+    // Whole powers stay exact while the result, about |b| times the size of
+    // the base, fits
+    const e = exactOf(b);
+    const fits = R.isInteger(e) && R.bitLength(exactOf(a)) * Math.abs(b.value) <= MAX_EXACT_BITS;
+    if (fits && !(R.isZero(exactOf(a)) && b.value < 0)) {
+        return fromExact(R.pow(exactOf(a), b.value), format, unit, a.currency);
+    }
+    return fromFloat(Math.pow(a.value, b.value), format, unit, a.currency);
+};
+
+export const negate = (a) => {
+    noDates(a);
+    return fromExact(R.neg(exactOf(a)), a.format, a.unit, a.currency);
+};
+
+// "12 km in miles"; a plain number simply takes the unit. Money stays money:
+// it converts into another currency, not a unit.
+export const convert = (a, unit, ctx) => {
+    noDates(a);
+    if (a.currency) throw new CalcError('unit-mismatch', `Cannot convert money to ${formatUnit(unit)}`, ctx?.node);
+    if (isDimensionless(a.unit)) return fromExact(exactOf(a), a.format, unit, a.currency);
+    return fromExact(convertExact(exactOf(a), a.unit, unit), a.format, unit, a.currency);
+};
+
+// "€200 in USD"; a plain number simply becomes money in that currency. Money
+// per unit ("$150/hour") converts too; other quantities with a unit do not.
+export const toCurrency = (a, currency, ctx) => {
+    noDates(a);
+    if (!a.currency && !isDimensionless(a.unit)) {
+        throw new CalcError('unit-mismatch', `Cannot convert ${formatUnit(a.unit)} to ${currency}`, ctx?.node);
+    }
+    const exact = a.currency ? convertCurrencyExact(exactOf(a), a.currency, currency, ctx?.rates) : exactOf(a);
+    return fromExact(exact, 'currency', a.unit, currency);
+};
+
+// SAFE_FUNCS work on amounts. Rounding-style functions keep the unit of their
+// first argument (min/max convert the rest into it) and stay exact; the others
+// only accept plain numbers and are computed on floats.
+const UNIT_PRESERVING = new Set(['abs', 'round', 'floor', 'ceil', 'min', 'max']);
+
+const EXACT_FUNCS = {
+    abs: (x) => R.abs(x),
+    floor: (x) => R.round(x, 0, 'floor'),
+    ceil: (x) => R.round(x, 0, 'ceil'),
+    round: (x, digits = R.ZERO) => R.round(x, Number(R.toNumber(digits)), 'half-up'),
+    min: (...xs) => xs.reduce((m, x) => (R.cmp(x, m) < 0 ? x : m)),
+    max: (...xs) => xs.reduce((m, x) => (R.cmp(x, m) > 0 ? x : m)),
+};
+
+export const applyFunction = (name, fn, args, ctx) => {
+    noDates(...args);
+    const first = args[0];
+    if (!first) return fromFloat(fn());
+    if (UNIT_PRESERVING.has(name)) {
+        const amounts = args.map((arg, i) => {
+            if (i === 0 || !(name === 'min' || name === 'max')) return exactOf(arg);
+            // Money only compares with money: "max(5, $3)" has no currency to give
+            if (!arg.currency !== !first.currency) {
+                throw new CalcError('unit-mismatch', `Cannot compare ${first.currency || 'a number'} and ${arg.currency || 'a number'}`, ctx?.node);
+            }
+            const a = alignCurrency(first, arg, ctx);
+            if (isDimensionless(a.unit) || isDimensionless(first.unit)) return exactOf(a);
+            if (!sameDims(a.unit, first.unit)) throw mismatch(first, a, `compare`);
+            return convertExact(exactOf(a), a.unit, first.unit);
+        });
+        if (name === 'round' && amounts[1] && !R.isInteger(amounts[1])) {
+            throw new CalcError('syntax', 'round() takes a whole number of digits', ctx?.node);
+        }
+        return fromExact(EXACT_FUNCS[name](...amounts), first.format, first.unit, first.currency);
+    }
+    const withUnit = args.find(a => !isDimensionless(a.unit));
+    if (withUnit) throw new CalcError('unit-mismatch', `${name}() needs a plain number, got ${formatUnit(withUnit.unit)}`);
+    return fromFloat(fn(...args.map(a => a.value)), first.format, null, first.currency);
+};
+
+// Aggregate lines: 'total', 'average', 'count', 'min' or 'max' of a list of
+// values. Totals and averages add up like "+"; min/max compare like min()/max().
+export const aggregate = (fn, values, ctx) => {
+    if (fn === 'count') return makeValue(values.length);
+    if (!values.length) return makeValue(0);
+    if (fn === 'min' || fn === 'max') return applyFunction(fn, Math[fn], values, ctx);
+    const [first, ...rest] = values;
+    const total = rest.reduce((sum, v) => add(sum, v, ctx), copyValue(first));
+    return fn === 'average' ? divide(total, makeValue(values.length), ctx) : total;
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateDocument } from './evaluate';
+import { bitLength } from './rational';
+
+const run = (...lines) => evaluateDocument(lines.join('\n'));
+
+describe('exact arithmetic', () => {
+    it('keeps ordinary calculations exact', () => {
+        const results = run('0.1 + 0.2', '1.05 ^ 30', '2 ^ 1000', '$100 / 3 * 3');
+        expect(results[0].exact.toJSON()).toBe('3/10');
+        expect(results[1].exact.toJSON()).toBe(`${21n ** 30n}/${20n ** 30n}`);
+        expect(results[2].exact.toJSON()).toBe(String(2n ** 1000n));
+        expect(results[3].exact.toJSON()).toBe('100');
+    });
+
+    it('falls back to floats for powers too large to keep exact', () => {
+        const results = run('a = 1.1 ^ 1000', 'b = a ^ 100', 'a ^ 7', 'sqrt(2) ^ 1000');
+        expect(results[0].value).toBeCloseTo(2.4699e41, -38);
+        expect(results[1]).toMatchObject({ type: 'error', error: { code: 'invalid-number' } });
+        expect(results[2].value / 1.1 ** 7000).toBeCloseTo(1, 6);
+        expect(results[3].value / 2 ** 500).toBeCloseTo(1, 6);
+        [results[2], results[3]].forEach(res => expect(bitLength(res.exact)).toBeLessThan(4096));
+    });
+
+    it('falls back to floats when repeated products grow too large', () => {
+        const lines = ['x1 = 1.000000001'];
+        for (let i = 2; i <= 20; i++) lines.push(`x${i} = x${i - 1} * x${i - 1} / 1.000000007`);
+        const results = run(...lines);
+        Object.values(results).forEach((res) => {
+            expect(res.type).toBe('variable');
+            expect(bitLength(res.exact)).toBeLessThan(2 * 4096);
+        });
+    });
+});
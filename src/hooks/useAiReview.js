@@ -0,0 +1,28 @@
+import { useMemo } from 'react';
+import { acceptedLine, noteLine } from '../engine';
+
+// Accept and reject actions for the lines the AI resolved (see
+// engine/review.js). `proposals` maps a line index to what accepting would
+// write ({ line, text }), or null when the local engine could not reproduce
+// the value.
+export function useAiReview(text, setText, results, rates) {
+    const proposals = useMemo(() => {
+        const next = {};
+        Object.entries(results).forEach(([idx, res]) => {
+            if (res?.source === 'ai') next[idx] = acceptedLine(text, Number(idx), results, { rates });
+        });
+        return next;
+    }, [text, results, rates]);
+
+    const accept = (idx) => {
+        if (proposals[idx]) setText(proposals[idx].text);
+    };
+
+    const reject = (idx) => {
+        const lines = text.split('\n');
+        lines[idx] = noteLine(lines[idx]);
+        setText(lines.join('\n'));
+    };
+
+    return { proposals, accept, reject };
+}
@@ -0,0 +1,24 @@
+import { useState } from 'react';
+import { DEFAULT_RATES } from '../engine';
+import { loadWorkspace, saveWorkspace } from '../services/workspace';
+
+// The workspace exchange rate table ({ base, rates }), persisted locally.
+export function useCurrencyRates() {
+    const [rates, setRatesState] = useState(() => loadWorkspace().rates || DEFAULT_RATES);
+
+    const setRates = (next) => {
+        setRatesState(next);
+        saveWorkspace({ rates: next });
+    };
+
+    const setRate = (code, rate) => setRates({ ...rates, rates: { ...rates.rates, [code]: rate } });
+
+    const removeRate = (code) => {
+        const { [code]: _removed, ...rest } = rates.rates;
+        setRates({ ...rates, rates: rest });
+    };
+
+    const resetRates = () => setRates(DEFAULT_RATES);
+
+    return { rates, setRate, removeRate, resetRates };
+}
@@ -0,0 +1,51 @@
+import { useEffect, useRef, useState } from 'react';
+import { askDocument } from '../services/documentChat';
+
+// Conversation about the open document (see services/documentChat.js).
+// `messages` are { role, content, error? }; the last assistant message grows
+// while its answer streams in. `insert` appends a proposed line to the text.
+export function useDocumentChat(text, setText, settings, { logic, rates } = {}) {
+    const [messages, setMessages] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const requestRef = useRef(null);
+
+    // The answer would arrive for a panel that is gone
+    useEffect(() => () => requestRef.current?.abort(), []);
+
+    const updateLast = (patch) => setMessages(prev => [...prev.slice(0, -1), { ...prev.at(-1), ...patch }]);
+
+    const ask = async (question) => {
+        if (!question.trim() || busy) return;
+        const history = messages.filter(message => !message.error && message.content);
+        const controller = new AbortController();
+        requestRef.current = controller;
+        setBusy(true);
+        setMessages([...messages, { role: 'user', content: question }, { role: 'assistant', content: '' }]);
+
+        try {
+            await askDocument(text, history, question, settings, {
+                logic,
+                rates,
+                signal: controller.signal,
+                onDelta: (_, content) => updateLast({ content }),
+            });
+        } catch (err) {
+            // Stopped: keep what arrived
+            if (err.name !== 'AbortError') updateLast({ error: err.message || String(err) });
+        } finally {
+            if (requestRef.current === controller) requestRef.current = null;
+            setBusy(false);
+        }
+    };
+
+    const stop = () => requestRef.current?.abort();
+
+    const clear = () => {
+        stop();
+        setMessages([]);
+    };
+
+    const insert = (line) => setText(!text || text.endsWith('\n') ? text + line : `${text}\n${line}`);
+
+    return { messages, busy, ask, stop, clear, insert };
+}
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { createHistory, deleteVersion, namedVersions, recordEdit, redoEdit, saveVersion, undoEdit } from '../services/history';
+import { loadVersions, storeVersions } from '../services/workspace';
+
+// The text of every open document with its edit history (see
+// services/history.js), kept per document so that switching tabs loses
+// nothing. `initialText(docId)` is a document's text before its first edit.
+// `setText` takes a text or a function of the current one, like a state
+// setter; `undo` and `redo` return the text they went back to, or null.
+export function useDocumentHistory(docId, initialText) {
+    const [histories, setHistories] = useState({});
+    const current = histories[docId];
+    const text = current ? current.present : initialText(docId);
+
+    const created = () => createHistory(initialText(docId), Date.now(), loadVersions(docId));
+
+    const setText = (value) => setHistories((prev) => {
+        const history = prev[docId] || created();
+        return { ...prev, [docId]: recordEdit(history, typeof value === 'function' ? value(history.present) : value) };
+    });
+
+    const step = (move, available) => {
+        if (!current?.[available].length) return null;
+        const next = move(current);
+        setHistories(prev => ({ ...prev, [docId]: move(prev[docId]) }));
+        return next.present;
+    };
+
+    // Named versions are saved with the workspace as well
+    const commit = (next) => {
+        setHistories(prev => ({ ...prev, [docId]: next }));
+        storeVersions(docId, namedVersions(next));
+    };
+
+    return {
+        text,
+        setText,
+        undo: () => step(undoEdit, 'past'),
+        redo: () => step(redoEdit, 'future'),
+        canUndo: !!current?.past.length,
+        canRedo: !!current?.future.length,
+        snapshots: current ? current.snapshots : loadVersions(docId),
+        saveVersion: (name) => commit(saveVersion(current || created(), name)),
+        deleteVersion: (id) => commit(deleteVersion(current || created(), id)),
+        // Going back to a version is an edit like any other, so it can be undone
+        restore: (snapshot) => setText(snapshot.text),
+    };
+}
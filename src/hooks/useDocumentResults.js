@@ -0,0 +1,14 @@
+import { useMemo, useState } from 'react';
+import { createDocumentEvaluator, mergeAiLogic, resolvePhrases } from '../engine';
+
+// Line results for the open document: local results win, then the phrase
+// rules (see phrases.js), and AI logic fills the remaining lines. The evaluator remembers the previous run, so an edit only
+// recomputes the lines downstream of it. `display` is the document's rounding
+// setting (see useDocumentSettings).
+export function useDocumentResults(text, aiLogic, rates, display) {
+    const [evaluateDocument] = useState(createDocumentEvaluator);
+    return useMemo(() => {
+        const local = evaluateDocument(text, { rates });
+        return mergeAiLogic(text, local, { ...aiLogic, ...resolvePhrases(text, local) }, { rates, display });
+    }, [evaluateDocument, text, aiLogic, rates, display]);
+}
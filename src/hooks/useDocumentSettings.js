@@ -0,0 +1,23 @@
+import { useState } from 'react';
+import { DEFAULT_DISPLAY } from '../engine';
+import { loadWorkspace, saveWorkspace } from '../services/workspace';
+
+const loadSettings = (docId) => ({ ...DEFAULT_DISPLAY, ...loadWorkspace().documents?.[docId] });
+
+// Display settings of one document ({ precision, rounding }, see
+// engine/format.js), persisted with the workspace under `documents[docId]`.
+export function useDocumentSettings(docId) {
+    const [state, setState] = useState(() => ({ docId, settings: loadSettings(docId) }));
+    // Switching documents picks up that document's settings
+    const settings = state.docId === docId ? state.settings : loadSettings(docId);
+    if (state.docId !== docId) setState({ docId, settings });
+
+    const updateSettings = (patch) => {
+        const next = { ...settings, ...patch };
+        setState({ docId, settings: next });
+        const { documents = {} } = loadWorkspace();
+        saveWorkspace({ documents: { ...documents, [docId]: next } });
+    };
+
+    return { settings, updateSettings };
+}
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { requestLogic } from '../services/analysis';
+import { createLineCache } from '../services/lineCache';
+import { logicContext, logicMessages } from '../services/logicPrompt';
+
+// The AI's logic for the lines the local engine cannot resolve, keyed by line
+// index. Answers are kept by their line-cache key (see services/lineCache.js)
+// and mapped onto the current text on every render, so they follow lines that
+// move and never land on another document's lines. The text is sent
+// `llm.debounceMs` after the last edit; only lines the AI has not seen in this
+// form are asked about, and a newer text cancels the request in flight. While the server is down
+// (`connection`, see useServerConnection) the pending lines wait for it.
+// `debug` holds the last request's context, reply and error, and `analyze`
+// sends the text again right away.
+export function useLineAnalysis(text, llm, rates, connection) {
+    // Line-cache key -> the AI's logic, or { problem } when it gave none
+    const [answers, setAnswers] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [debug, setDebug] = useState({ lastError: null, lastResponse: null, lastInput: null });
+    // AI request in flight and the per-line answers so far
+    const requestRef = useRef(null);
+    const [lineCache] = useState(createLineCache);
+    const { available, reportSuccess, reportFailure } = connection;
+
+    const run = useCallback(async (inputText) => {
+        // A newer call supersedes the request in flight
+        requestRef.current?.abort();
+        if (!inputText.trim()) {
+            setAnswers({});
+            return;
+        }
+
+        const { logic, pending, keys } = lineCache.plan(inputText, { rates });
+        // Only the answers for this text are kept; the pending lines fill in below
+        setAnswers(Object.fromEntries(Object.entries(logic).map(([idx, item]) => [keys[idx], item])));
+        if (!pending.length || !available) return;
+        const controller = new AbortController();
+        requestRef.current = controller;
+        setLoading(true);
+
+        // The lines to answer, with what the local engine already computed
+        const context = logicContext(inputText, pending, { logic, rates });
+        setDebug(prev => ({ ...prev, lastError: null, lastInput: JSON.stringify(context, null, 2) }));
+
+        try {
+            // Each line's logic is shown as soon as the model has finished writing it
+            const { content, problems } = await requestLogic(logicMessages(context), llm, pending, {
+                signal: controller.signal,
+                onItem: (lineIndex, item) => {
+                    lineCache.store(keys[lineIndex], item);
+                    setAnswers(prev => ({ ...prev, [keys[lineIndex]]: item }));
+                }
+            });
+            reportSuccess();
+
+            // Lines without a valid answer even after the repair request
+            const failed = Object.keys(problems);
+            setAnswers(prev => ({
+                ...prev,
+                ...Object.fromEntries(failed.map(lineIndex => [keys[lineIndex], { problem: problems[lineIndex] }])),
+            }));
+            setDebug(prev => ({
+                ...prev,
+                lastResponse: content,
+                lastError: failed.length ? failed.map(idx => `Line ${Number(idx) + 1}: ${problems[idx]}`).join('\n') : null,
+            }));
+        } catch (err) {
+            // Cancelled because the text changed; the lines that arrived are cached
+            if (err.name === 'AbortError') return;
+            console.error('LLM API Error:', err);
+            reportFailure(err);
+            setDebug(prev => ({ ...prev, lastError: err.message || String(err) }));
+        } finally {
+            if (requestRef.current === controller) {
+                requestRef.current = null;
+                setLoading(false);
+            }
+        }
+    }, [lineCache, rates, llm, available, reportSuccess, reportFailure]);
+
+    // Re-sent when the text, the settings, the rates or the server change,
+    // not when the logic arrives
+    useEffect(() => {
+        const timer = setTimeout(() => run(text), llm.debounceMs);
+        return () => {
+            clearTimeout(timer);
+            // The reply would be for text that no longer exists
+            requestRef.current?.abort();
+        };
+    }, [text, llm.debounceMs, run]);
+
+    const aiLogic = useMemo(() => {
+        if (!text.trim()) return {};
+        const { keys } = lineCache.plan(text, { rates });
+        return Object.fromEntries(Object.entries(keys)
+            .filter(([, key]) => answers[key])
+            .map(([idx, key]) => [idx, answers[key]]));
+    }, [lineCache, text, rates, answers]);
+
+    return { aiLogic, loading, debug, analyze: () => run(text) };
+}
@@ -0,0 +1,19 @@
+import { useState } from 'react';
+import { DEFAULT_LLM_SETTINGS, loadLlmSettings } from '../services/llama';
+import { saveWorkspace } from '../services/workspace';
+
+// LLM connection settings (see services/llama.js), persisted locally.
+export function useLlmSettings() {
+    const [settings, setSettingsState] = useState(loadLlmSettings);
+
+    const setSettings = (next) => {
+        setSettingsState(next);
+        saveWorkspace({ llm: next });
+    };
+
+    const updateSettings = (patch) => setSettings({ ...settings, ...patch });
+
+    const resetSettings = () => setSettings(DEFAULT_LLM_SETTINGS);
+
+    return { settings, updateSettings, resetSettings };
+}
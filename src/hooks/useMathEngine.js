@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { runMathAnalysis } from '../services/llama';
+import { evaluateDocument, formatValue } from '../engine';
 
 export function useMathEngine() {
     const [results, setResults] = useState([]);
@@ -28,17 +29,14 @@ export function useMathEngine() {
             }
         } catch (err) {
             setError(err.message);
-            // Fallback for demo if server is down:
-            console.warn("Server likely down, using mock math");
-            const lines = text.split('\n');
-            setResults(lines.map(line => {
-                try {
-                    if (line.match(/[\d]/)) {
-                        // simplistic eval for integers
-                        return String(eval(line.replace(/[^\d+*/()-]/g, '')));
-                    }
-                    return "";
-                } catch { return ""; }
+            // Fallback if server is down: the local engine
+            console.warn("Server likely down, using local engine");
+            const local = evaluateDocument(text);
+            setResults(text.split('\n').map((_, idx) => {
+                const line = local[idx];
+                if (!line) return '';
+                if (line.error) return line.error.message;
+                return formatValue(line.value, line.format, line.unit, line.currency, { exact: line.exact });
             }));
         } finally {
             setIsProcessing(false);
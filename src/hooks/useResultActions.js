@@ -0,0 +1,81 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { addAnchor, insertReference, isDateValue, referenceTo } from '../engine';
+
+// What a result in the results column does (see engine/references.js):
+// clicking it inserts a reference to its line at the editor's cursor,
+// Shift-click copies the formatted value and Alt+Shift-click the plain
+// number, and dragging it into the editor drops a reference there.
+// `inputRef` is the editor's textarea. `resultProps(idx)` are the props for
+// the element showing line idx's value; `copied` is the line whose value was
+// just copied, or null.
+export function useResultActions(text, setText, results, inputRef) {
+    const [copied, setCopied] = useState(null);
+    const caretRef = useRef(null);
+    const dragRef = useRef(null);
+    const timerRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    // Back in the editor, after the inserted reference
+    useLayoutEffect(() => {
+        const input = inputRef.current;
+        if (caretRef.current === null || !input) return;
+        input.focus();
+        input.setSelectionRange(caretRef.current, caretRef.current);
+        caretRef.current = null;
+    }, [text, inputRef]);
+
+    const insert = (idx) => {
+        const input = inputRef.current;
+        const selection = input ? { start: input.selectionStart, end: input.selectionEnd } : { start: text.length, end: text.length };
+        const next = insertReference(text, selection, idx, results);
+        if (!next) return;
+        caretRef.current = next.caret;
+        setText(next.text);
+    };
+
+    const copy = async (idx, raw) => {
+        const res = results[idx];
+        if (!res) return;
+        // Dates have no plainer form than the one shown
+        const value = raw && !isDateValue(res) ? String(res.value) : res.formatted;
+        try {
+            await navigator.clipboard.writeText(value);
+        } catch {
+            return;
+        }
+        setCopied(idx);
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => setCopied(null), 1500);
+    };
+
+    // The drop lands wherever the user lets go, so the reference must work
+    // from any line; the line is only anchored once the drop happened
+    const dragStart = (idx, e) => {
+        const target = referenceTo(text, idx, null, results);
+        if (!target) {
+            e.preventDefault();
+            return;
+        }
+        e.dataTransfer.setData('text/plain', target.ref);
+        e.dataTransfer.effectAllowed = 'copy';
+        dragRef.current = target.anchor && { idx, anchor: target.anchor };
+    };
+
+    const dragEnd = (e) => {
+        const pending = dragRef.current;
+        dragRef.current = null;
+        // The dropped text has no line break, so line idx is still where it was
+        if (pending && e.dataTransfer.dropEffect !== 'none') setText(prev => addAnchor(prev, pending.idx, pending.anchor));
+    };
+
+    const resultProps = (idx) => ({
+        onClick: (e) => (e.shiftKey ? copy(idx, e.altKey) : insert(idx)),
+        draggable: true,
+        onDragStart: (e) => dragStart(idx, e),
+        onDragEnd: dragEnd,
+        title: 'Click to insert a reference, drag into the editor, Shift-click to copy (Alt+Shift: plain number)',
+    });
+
+    return { copied, insert, copy, resultProps };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from 'react';
+import { canAnalyze, nextPollDelay, stateAfterFailure } from '../services/connection';
+import { checkServerStatus } from '../services/llama';
+
+// Health of the LLM server, polled in the background with backoff (see
+// services/connection.js). Requests report back through `reportSuccess` and
+// `reportFailure`, so a dropped connection shows at once instead of at the
+// next poll; `retry` checks again right away. The three keep their identity
+// across renders, so effects can depend on them. Whether a request is in
+// flight is the caller's to show (see shownState).
+export function useServerConnection(settings) {
+    const [health, setHealth] = useState('offline');
+    const [checks, setChecks] = useState(0);
+    const { provider, baseUrl, apiKey } = settings;
+
+    useEffect(() => {
+        const controller = new AbortController();
+        let timer = null;
+        let failures = 0;
+        const poll = async () => {
+            let state;
+            try {
+                state = await checkServerStatus({ provider, baseUrl, apiKey }, { signal: controller.signal });
+            } catch {
+                return; // Settings changed or unmounted
+            }
+            failures = state === 'ready' || state === 'loading' ? 0 : failures + 1;
+            setHealth(state);
+            timer = setTimeout(poll, nextPollDelay(state, failures));
+        };
+        poll();
+        return () => {
+            controller.abort();
+            clearTimeout(timer);
+        };
+    }, [provider, baseUrl, apiKey, checks]);
+
+    // Check now and poll again from the shortest delay
+    const retry = useCallback(() => setChecks(n => n + 1), []);
+
+    const reportSuccess = useCallback(() => setHealth('ready'), []);
+
+    const reportFailure = useCallback((err) => {
+        setHealth(stateAfterFailure(err));
+        retry();
+    }, [retry]);
+
+    return {
+        status: health,
+        available: canAnalyze(health),
+        retry,
+        reportSuccess,
+        reportFailure,
+    };
+}
@@ -0,0 +1,125 @@
+import { SAFE_FUNCS, tokenize } from '../engine';
+import { createObjectStream } from './jsonStream';
+import { chat } from './llama';
+
+// Line logic requests. The model is asked for
+//   { "<lineIndex>": { formula, type, format, explanation } }
+// for the given lines, with a JSON schema the server enforces while sampling
+// (llama-server turns it into a grammar, Ollama takes it as `format`). Each
+// line's answer is validated on arrival; the ones that fail, or are missing,
+// get one repair round-trip that feeds the problems back to the model. What
+// is still wrong after that is reported per line, not for the whole reply.
+// Formulas may only call the engine's functions; any other call ("alert(1)",
+// "fetch(url)") or text the engine cannot read fails validation like a
+// malformed answer, so it never reaches the document.
+
+export const LOGIC_TYPES = ['variable', 'formula', 'total', 'header', 'note'];
+export const LOGIC_FORMATS = ['number', 'currency', 'percent', 'date', 'datetime', 'time'];
+
+const itemSchema = {
+    type: 'object',
+    properties: {
+        formula: { type: 'string' },
+        type: { type: 'string', enum: LOGIC_TYPES },
+        format: { type: 'string', enum: LOGIC_FORMATS },
+        explanation: { type: 'string' },
+    },
+    required: ['formula', 'type', 'explanation'],
+    additionalProperties: false,
+};
+
+// Schema of a reply covering exactly `lineIndices`
+export const logicSchema = (lineIndices) => ({
+    type: 'object',
+    properties: Object.fromEntries(lineIndices.map(idx => [String(idx), itemSchema])),
+    required: lineIndices.map(String),
+    additionalProperties: false,
+});
+
+// What in a formula the engine would not run, as a readable sentence. The
+// expression is the part after the name ("Total = Venue + Stage").
+const formulaProblem = (formula) => {
+    const expr = formula.slice(formula.indexOf('=') + 1);
+    let tokens;
+    try {
+        tokens = tokenize(expr);
+    } catch (err) {
+        return `"formula" cannot be read: ${err.message}`;
+    }
+    const calls = tokens.filter((tok, i) => tok.type === 'word' && tokens[i + 1]?.type === 'lparen' && tokens[i + 1].start === tok.end)
+        .map(tok => tok.text)
+        .filter(name => name.toLowerCase() !== 'sum' && !Object.hasOwn(SAFE_FUNCS, name.toLowerCase()));
+    if (!calls.length) return null;
+    return `"formula" calls ${calls.map(name => `"${name}"`).join(', ')}; the only functions are ${Object.keys(SAFE_FUNCS).join(', ')} and sum(tag)`;
+};
+
+// Problems with one line's answer, as readable sentences (empty when valid)
+export const validateLogicItem = (item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return ['the answer is not an object'];
+    const problems = [];
+    if (typeof item.formula !== 'string') problems.push('"formula" must be a string');
+    if (!LOGIC_TYPES.includes(item.type)) problems.push(`"type" must be one of ${LOGIC_TYPES.join(', ')}`);
+    if (item.format !== undefined && !LOGIC_FORMATS.includes(item.format)) problems.push(`"format" must be one of ${LOGIC_FORMATS.join(', ')}`);
+    if (item.explanation !== undefined && typeof item.explanation !== 'string') problems.push('"explanation" must be a string');
+    const extra = Object.keys(item).filter(key => !(key in itemSchema.properties));
+    if (extra.length) problems.push(`unexpected ${extra.map(key => `"${key}"`).join(', ')}`);
+    if (!problems.length && !item.formula.trim() && !['header', 'note'].includes(item.type)) {
+        problems.push('"formula" is empty but the type is not header or note');
+    }
+    const unsafe = !problems.length && formulaProblem(item.formula);
+    if (unsafe) problems.push(unsafe);
+    return problems;
+};
+
+// One streamed request; valid answers go to `onItem`, the rest come back as
+// { lineIndex: message }
+const streamLogic = async (messages, settings, lineIndices, { signal, onItem, onDelta }) => {
+    const wanted = new Set(lineIndices.map(String));
+    const problems = {};
+    const answered = new Set();
+    const parser = createObjectStream((lineIndex, item) => {
+        if (!wanted.has(lineIndex)) return;
+        answered.add(lineIndex);
+        const itemProblems = validateLogicItem(item);
+        if (itemProblems.length) problems[lineIndex] = itemProblems.join('; ');
+        else onItem(lineIndex, item);
+    });
+
+    const content = await chat(messages, settings, {
+        stream: true,
+        json: logicSchema(lineIndices),
+        signal,
+        onDelta: (delta) => {
+            onDelta?.(delta);
+            parser.push(delta);
+        }
+    });
+
+    const cutOff = !parser.isComplete();
+    for (const lineIndex of wanted) {
+        if (!answered.has(lineIndex)) problems[lineIndex] = cutOff ? 'the reply ended before this line' : 'no answer for this line';
+    }
+    return { content, problems };
+};
+
+// Asks for the logic of `lineIndices` (`messages` is the system prompt and
+// the document). Resolves with the reply text and the lines that still have
+// no valid answer: { content, problems: { lineIndex: message } }.
+export const requestLogic = async (messages, settings, lineIndices, { signal, onItem, onDelta } = {}) => {
+    const first = await streamLogic(messages, settings, lineIndices, { signal, onItem, onDelta });
+    const failed = Object.keys(first.problems);
+    if (!failed.length) return first;
+
+    // One repair round-trip for the failed lines
+    const repair = [
+        ...messages,
+        { role: 'assistant', content: first.content },
+        {
+            role: 'user',
+            content: `Some lines of your reply are invalid:\n${failed.map(idx => `- line ${idx}: ${first.problems[idx]}`).join('\n')}\n`
+                + `Reply again with a JSON object for only these lines (${failed.join(', ')}), each with "formula", "type", "format" and "explanation".`
+        },
+    ];
+    const second = await streamLogic(repair, settings, failed.map(Number), { signal, onItem, onDelta });
+    return { content: `${first.content}\n${second.content}`, problems: second.problems };
+};
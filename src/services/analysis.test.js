@@ -0,0 +1,99 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { requestLogic, validateLogicItem } from './analysis';
+import { chat } from './llama';
+
+vi.mock('./llama', () => ({ chat: vi.fn() }));
+
+// Each call to the model streams the next reply, a few characters at a time
+const replyWith = (...replies) => {
+    replies.forEach((reply) => {
+        const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+        chat.mockImplementationOnce(async (messages, settings, { onDelta }) => {
+            for (let i = 0; i < content.length; i += 5) onDelta(content.slice(i, i + 5));
+            return content;
+        });
+    });
+};
+
+const MESSAGES = [{ role: 'system', content: 'Explain the lines' }, { role: 'user', content: 'Venue = $500\nStage = $200\nfixed costs' }];
+const item = (formula, extra = {}) => ({ formula, type: 'formula', explanation: 'Adds them up', ...extra });
+
+const request = async (lineIndices) => {
+    const items = {};
+    const result = await requestLogic(MESSAGES, {}, lineIndices, { onItem: (idx, answer) => { items[idx] = answer; } });
+    return { ...result, items };
+};
+
+beforeEach(() => {
+    chat.mockReset();
+});
+
+describe('requestLogic', () => {
+    it('passes valid answers on and asks once, with the schema', async () => {
+        replyWith({ 2: item('Venue + Stage') });
+        const { items, problems } = await request([2]);
+        expect(items).toEqual({ 2: item('Venue + Stage') });
+        expect(problems).toEqual({});
+        expect(chat).toHaveBeenCalledTimes(1);
+        expect(chat.mock.calls[0][2]).toMatchObject({ stream: true, json: { required: ['2'] } });
+    });
+
+    it('repairs a malformed reply once, asking only for the failed lines', async () => {
+        replyWith(
+            '```json\n{"2": {"formula": "Venue + Stage", "type": "sum", "explanation": "x"}, "3": ' + JSON.stringify(item('Venue * 2')) + '}\n```',
+            { 2: item('Venue + Stage') },
+        );
+        const { items, problems } = await request([2, 3]);
+        expect(items).toEqual({ 2: item('Venue + Stage'), 3: item('Venue * 2') });
+        expect(problems).toEqual({});
+        expect(chat).toHaveBeenCalledTimes(2);
+
+        const [repair, , options] = chat.mock.calls[1];
+        expect(repair.slice(0, 2)).toEqual(MESSAGES);
+        expect(repair[2].role).toBe('assistant');
+        expect(repair[3].content).toContain('line 2: "type" must be one of');
+        expect(repair[3].content).not.toContain('line 3');
+        expect(options.json.required).toEqual(['2']);
+    });
+
+    it('repairs a reply that is cut off or leaves a line out', async () => {
+        replyWith('{"2": {"formula": "Venue', { 2: item('Venue + Stage') });
+        await expect(request([2])).resolves.toMatchObject({ items: { 2: item('Venue + Stage') }, problems: {} });
+        expect(chat.mock.calls[1][0][3].content).toContain('the reply ended before this line');
+    });
+
+    it('reports a line that is still invalid after the repair, without a third request', async () => {
+        replyWith({ 2: { formula: 'Venue + Stage' }, 3: item('Venue * 2') }, { 2: { formula: 42, type: 'formula' } });
+        const { items, problems } = await request([2, 3]);
+        expect(items).toEqual({ 3: item('Venue * 2') });
+        expect(problems).toEqual({ 2: '"formula" must be a string' });
+        expect(chat).toHaveBeenCalledTimes(2);
+    });
+
+    it('drops formulas that call anything but the calculator functions', async () => {
+        replyWith(
+            { 2: item('Total = alert(1) + Venue'), 3: item('round(Venue / 3, 2)'), 4: item('sum(food)') },
+            { 2: item('fetch(1)') },
+        );
+        const { items, problems } = await request([2, 3, 4]);
+        expect(items).toEqual({ 3: item('round(Venue / 3, 2)'), 4: item('sum(food)') });
+        expect(problems[2]).toMatch(/^"formula" calls "fetch"/);
+        expect(chat.mock.calls[1][0][3].content).toContain('"formula" calls "alert"');
+    });
+});
+
+describe('validateLogicItem', () => {
+    it.each([
+        [item('Venue + Stage'), []],
+        [item('', { type: 'note' }), []],
+        [item('', { type: 'formula' }), ['"formula" is empty but the type is not header or note']],
+        [item('Venue', { format: 'money' }), [expect.stringMatching(/^"format" must be one of/)]],
+        [item('Venue', { value: 5 }), ['unexpected "value"']],
+        [item('eval("1")'), [expect.stringMatching(/^"formula" cannot be read/)]],
+        [item('constructor.constructor(1)'), [expect.stringMatching(/^"formula" cannot be read/)]],
+        [item('Rate (1 + 2)'), []],
+        [[], ['the answer is not an object']],
+    ])('checks %j', (answer, problems) => {
+        expect(validateLogicItem(answer)).toEqual(problems);
+    });
+});
@@ -0,0 +1,37 @@
+// Connection to the LLM server as the UIs show it. The health poller (see
+// useServerConnection) moves between the server states of checkServerStatus;
+// 'busy' is 'ready' with an analysis request in flight.
+export const CONNECTION_STATES = {
+    offline: 'Offline',
+    loading: 'Loading model',
+    ready: 'Ready',
+    busy: 'Busy',
+    error: 'Error',
+};
+
+const READY_POLL_MS = 15000;
+const LOADING_POLL_MS = 2000;
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+// Pause before the next health check. A server that is down or failing is
+// retried with exponential backoff: `failures` is the number of checks in a
+// row that found it so.
+export const nextPollDelay = (state, failures) => {
+    if (state === 'ready') return READY_POLL_MS;
+    if (state === 'loading') return LOADING_POLL_MS;
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_MIN_MS * 2 ** Math.max(0, failures - 1));
+};
+
+// The state a failed analysis request puts the connection in: no answer
+// means offline, a 503 that the model is still loading
+export const stateAfterFailure = (err) => {
+    if (!err.status) return 'offline';
+    return err.status === 503 ? 'loading' : 'error';
+};
+
+// Whether analysis requests can be sent
+export const canAnalyze = (state) => state !== 'offline' && state !== 'loading';
+
+// The state shown for `state` while an analysis request is in flight or not
+export const shownState = (state, busy) => (busy && state !== 'offline' ? 'busy' : state);
@@ -0,0 +1,69 @@
+import { DEFAULT_RATES } from '../engine';
+import { chat } from './llama';
+import { logicContext } from './logicPrompt';
+
+// Questions about the open document ("why is Runway only 12?", "what if rent
+// rises 5%?"). Each question is sent with the document as it is now: every
+// line with its number and computed result, plus the symbols the line logic
+// requests use (see logicPrompt.js). Calculations the model proposes come
+// back in ```calc blocks, one calculator line per line, so they can be
+// inserted into the document as they are.
+
+const SYSTEM_PROMPT = `You are an assistant built into a smart calculator. The user asks about the document below: explain results, trace where numbers come from, try what-if scenarios and summarize.
+
+Answer briefly in plain text. Refer to lines by their names, or by their line number when they have none.
+
+When you propose a calculation the user could add to the document, write it in a fenced block tagged calc, one calculator line per line, for example:
+\`\`\`calc
+Rent next year = Rent * 1.05
+\`\`\`
+Calculator lines use the names defined in the document, + - * / ^ and parentheses, percentages ("5% of Rent", "Rent + 5%"), currencies ("$120"), units ("3 km") and functions such as round(x). "Name = expression" defines a new name; do not redefine an existing one.`;
+
+// The document as the model sees it, numbered like the editor:
+// "<number>: <line>  => <result>"
+const documentText = (text, computed) => text.split('\n')
+    .map((line, idx) => `${idx + 1}: ${line}${computed[idx] ? `  => ${computed[idx].result}` : ''}`)
+    .join('\n');
+
+// Chat messages for `question`, after the earlier `history` of
+// { role, content } messages. `logic` holds the AI's line answers.
+export const documentMessages = (text, history, question, { logic = {}, rates = DEFAULT_RATES } = {}) => {
+    const { computed, symbols } = logicContext(text, [], { logic, rates });
+    // Without the 0-based line index, which only the line logic requests use
+    const values = {};
+    Object.entries(symbols).forEach(([name, symbol]) => {
+        const { line: _line, ...rest } = symbol;
+        values[name] = rest;
+    });
+    const document = `DOCUMENT (line number: text  => computed result):\n${documentText(text, computed)}\n\n`
+        + `SYMBOLS:\n${JSON.stringify(values)}`;
+    return [
+        { role: 'system', content: `${SYSTEM_PROMPT}\n\n${document}` },
+        ...history.map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: question },
+    ];
+};
+
+// Streams the answer to `question`; `onDelta(delta, content)` gets each piece
+export const askDocument = (text, history, question, settings, { logic, rates, signal, onDelta } = {}) => (
+    chat(documentMessages(text, history, question, { logic, rates }), settings, { stream: true, signal, onDelta })
+);
+
+const CALC_FENCE_RE = /```calc[^\n]*\n([\s\S]*?)(?:```|$)/g;
+
+// An answer as text and calc parts: [{ type: 'text', text } | { type: 'calc',
+// lines }]. A block still being streamed counts up to the end of the text.
+export const splitAnswer = (content) => {
+    const parts = [];
+    let last = 0;
+    for (const match of content.matchAll(CALC_FENCE_RE)) {
+        const before = content.slice(last, match.index).trim();
+        if (before) parts.push({ type: 'text', text: before });
+        const lines = match[1].split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length) parts.push({ type: 'calc', lines });
+        last = match.index + match[0].length;
+    }
+    const rest = content.slice(last).trim();
+    if (rest) parts.push({ type: 'text', text: rest });
+    return parts;
+};
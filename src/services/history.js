@@ -0,0 +1,85 @@
+// Edit history of one document: undo and redo, plus snapshots of whole
+// versions. A history is a plain object, replaced on every change:
+//
+//   { past, present, future, editedAt, snapshots }
+//
+// `past` and `future` are texts. Edits that follow each other within
+// COALESCE_MS are one undo step, so undo takes back a burst of typing rather
+// than a character. Snapshots are { id, name, text, time, auto }: one when the
+// document is first edited, one automatic every SNAPSHOT_MS of editing, and
+// the versions the user names. Named versions are kept with the workspace
+// (see workspace.js); the rest lives as long as the page.
+
+const MAX_UNDO = 200;
+const MAX_AUTO = 20;
+const COALESCE_MS = 1000;
+const SNAPSHOT_MS = 5 * 60 * 1000;
+
+let nextId = 0;
+const snapshot = (text, time, name = null) => ({ id: `${time}-${nextId++}`, name, text, time, auto: !name });
+
+// Keeps the opened text, the latest automatic snapshots and every named one
+const trimmed = (snapshots) => {
+    const auto = snapshots.filter(s => s.auto).slice(1);
+    const drop = new Set(auto.slice(0, Math.max(0, auto.length - MAX_AUTO)));
+    return snapshots.filter(s => !drop.has(s));
+};
+
+// A new history for `text`; `versions` are the document's named versions
+export const createHistory = (text, now = Date.now(), versions = []) => ({
+    past: [],
+    present: text,
+    future: [],
+    editedAt: null,
+    snapshots: [...versions, { ...snapshot(text, now), name: 'Opened' }],
+});
+
+// The history after the text became `text`
+export const recordEdit = (history, text, now = Date.now()) => {
+    if (text === history.present) return history;
+    const coalesce = history.editedAt !== null && now - history.editedAt < COALESCE_MS && history.past.length > 0;
+    const lastAuto = Math.max(...history.snapshots.filter(s => s.auto).map(s => s.time), 0);
+    return {
+        past: coalesce ? history.past : [...history.past, history.present].slice(-MAX_UNDO),
+        present: text,
+        future: [],
+        editedAt: now,
+        snapshots: now - lastAuto >= SNAPSHOT_MS ? trimmed([...history.snapshots, snapshot(history.present, now)]) : history.snapshots,
+    };
+};
+
+export const undoEdit = (history) => {
+    if (!history.past.length) return history;
+    return {
+        ...history,
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+        editedAt: null,
+    };
+};
+
+export const redoEdit = (history) => {
+    if (!history.future.length) return history;
+    return {
+        ...history,
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+        editedAt: null,
+    };
+};
+
+// The history with the current text saved as version `name`
+export const saveVersion = (history, name, now = Date.now()) => ({
+    ...history,
+    snapshots: [...history.snapshots, snapshot(history.present, now, name)],
+});
+
+export const deleteVersion = (history, id) => ({
+    ...history,
+    snapshots: history.snapshots.filter(s => s.id !== id),
+});
+
+// The named versions, as stored with the workspace
+export const namedVersions = (history) => history.snapshots.filter(s => !s.auto);
@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createHistory, deleteVersion, namedVersions, recordEdit, redoEdit, saveVersion, undoEdit } from './history';
+import { loadVersions, loadWorkspace, saveWorkspace, storeVersions } from './workspace';
+
+const T0 = Date.UTC(2026, 0, 15, 9, 0);
+const MINUTE = 60 * 1000;
+
+// Edits that each start a new undo step (two seconds apart)
+const typeAll = (history, texts, from = T0) => texts.reduce((h, text, i) => recordEdit(h, text, from + (i + 1) * 2000), history);
+
+describe('undo and redo', () => {
+    it('takes back a burst of typing as one step', () => {
+        let history = createHistory('', T0);
+        history = recordEdit(history, 'R', T0 + 2000);
+        history = recordEdit(history, 'Re', T0 + 2400);
+        history = recordEdit(history, 'Ren', T0 + 3300);
+        history = recordEdit(history, 'Rent', T0 + 5000);
+        expect(history.past).toEqual(['', 'Ren']);
+        expect(undoEdit(history).present).toBe('Ren');
+        expect(undoEdit(undoEdit(history)).present).toBe('');
+    });
+
+    it('redoes what was undone until the next edit', () => {
+        let history = typeAll(createHistory('a', T0), ['ab', 'abc']);
+        history = undoEdit(undoEdit(history));
+        expect(history).toMatchObject({ present: 'a', future: ['ab', 'abc'] });
+        history = redoEdit(history);
+        expect(history).toMatchObject({ present: 'ab', past: ['a'], future: ['abc'] });
+        history = recordEdit(history, 'abx', T0 + MINUTE);
+        expect(history.future).toEqual([]);
+        expect(redoEdit(history)).toBe(history);
+    });
+
+    it('does nothing past either end', () => {
+        const history = createHistory('a', T0);
+        expect(undoEdit(history)).toBe(history);
+        expect(redoEdit(history)).toBe(history);
+        expect(recordEdit(history, 'a', T0 + 1)).toBe(history);
+    });
+
+    it('keeps the last 200 steps', () => {
+        const texts = Array.from({ length: 250 }, (_, i) => `v${i + 1}`);
+        let history = typeAll(createHistory('v0', T0), texts);
+        expect(history.past).toHaveLength(200);
+        for (let i = 0; i < 200; i++) history = undoEdit(history);
+        expect(history.present).toBe('v50');
+        expect(undoEdit(history)).toBe(history);
+        expect(history.future).toHaveLength(200);
+    });
+});
+
+describe('snapshots', () => {
+    it('keeps the opened text and the named versions it was created with', () => {
+        const named = [{ id: 'x', name: 'Budget v1', text: 'old', time: T0 - MINUTE, auto: false }];
+        const history = createHistory('text', T0, named);
+        expect(history.snapshots.map(s => s.name)).toEqual(['Budget v1', 'Opened']);
+        expect(history.snapshots[1]).toMatchObject({ text: 'text', time: T0, auto: true });
+    });
+
+    it('takes a snapshot of the text every five minutes of editing', () => {
+        let history = createHistory('a', T0);
+        history = recordEdit(history, 'ab', T0 + 4 * MINUTE);
+        expect(history.snapshots).toHaveLength(1);
+        history = recordEdit(history, 'abc', T0 + 5 * MINUTE);
+        expect(history.snapshots.map(s => s.text)).toEqual(['a', 'ab']);
+        history = recordEdit(history, 'abcd', T0 + 9 * MINUTE);
+        expect(history.snapshots).toHaveLength(2);
+    });
+
+    it('keeps the latest 20 automatic snapshots besides the opened text and named versions', () => {
+        let history = saveVersion(createHistory('v0', T0), 'Mine', T0 + 1000);
+        for (let i = 1; i <= 30; i++) history = recordEdit(history, `v${i}`, T0 + i * 5 * MINUTE);
+        const auto = history.snapshots.filter(s => s.auto);
+        expect(auto).toHaveLength(21);
+        expect(auto[0].name).toBe('Opened');
+        expect(auto.slice(1).map(s => s.text)).toEqual(Array.from({ length: 20 }, (_, i) => `v${i + 10}`));
+        expect(namedVersions(history).map(s => s.name)).toEqual(['Mine']);
+    });
+
+    it('saves and deletes named versions', () => {
+        let history = saveVersion(createHistory('Rent = 1200', T0), 'Before the move', T0 + MINUTE);
+        const [version] = namedVersions(history);
+        expect(version).toMatchObject({ name: 'Before the move', text: 'Rent = 1200', auto: false });
+        history = deleteVersion(history, version.id);
+        expect(namedVersions(history)).toEqual([]);
+    });
+
+    it('restores a snapshot as an edit that can be undone', () => {
+        let history = typeAll(createHistory('Rent = 1200', T0), ['Rent = 1300']);
+        history = saveVersion(history, 'Raised', T0 + MINUTE);
+        history = recordEdit(history, 'Rent = 1500', T0 + 2 * MINUTE);
+        const [raised] = namedVersions(history);
+        history = recordEdit(history, raised.text, T0 + 3 * MINUTE);
+        expect(history.present).toBe('Rent = 1300');
+        expect(undoEdit(history).present).toBe('Rent = 1500');
+    });
+});
+
+describe('stored versions', () => {
+    let storage;
+    beforeEach(() => {
+        storage = new Map();
+        globalThis.localStorage = {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+        };
+    });
+    afterEach(() => {
+        delete globalThis.localStorage;
+    });
+
+    it('stores the named versions of each document with the workspace', () => {
+        saveWorkspace({ rates: { EUR: 0.9 } });
+        const history = saveVersion(createHistory('a', T0), 'First', T0 + MINUTE);
+        storeVersions('doc-1', namedVersions(history));
+        storeVersions('doc-2', []);
+        expect(loadVersions('doc-1')).toEqual(namedVersions(history));
+        expect(loadVersions('doc-2')).toEqual([]);
+        expect(loadVersions('doc-3')).toEqual([]);
+        expect(loadWorkspace().rates).toEqual({ EUR: 0.9 });
+    });
+
+    it('brings the stored versions back into a new history', () => {
+        storeVersions('doc-1', namedVersions(saveVersion(createHistory('old', T0), 'Kept', T0 + 1000)));
+        const history = createHistory('new', T0 + MINUTE, loadVersions('doc-1'));
+        expect(history.snapshots.map(s => [s.name, s.text])).toEqual([['Kept', 'old'], ['Opened', 'new']]);
+    });
+
+    it('starts empty when what is stored does not parse', () => {
+        storage.set('smartmathpad.workspace', '{not json');
+        expect(loadWorkspace()).toEqual({});
+        expect(loadVersions('doc-1')).toEqual([]);
+    });
+});
@@ -0,0 +1,105 @@
+// Incremental parser for a streamed JSON object ({ "0": {...}, "3": {...} }).
+// Text is pushed as it arrives and `onMember(key, value)` is called for each
+// top-level member as soon as its value is complete, so a reply can be used
+// line by line before the model has finished writing it.
+//
+// Anything before the opening brace (a code fence, a preamble) is skipped.
+// Braces and quotes inside strings, escapes and values split across chunks
+// are handled by scanning one character at a time and keeping the state
+// between pushes. A member whose value does not parse is skipped.
+export const createObjectStream = (onMember) => {
+    let text = '';
+    let pos = 0;
+    let depth = 0;          // 1 inside the top-level object
+    let inString = false;
+    let escaped = false;
+    let expect = 'key';     // at depth 1: key, colon, value, primitive or comma
+    let start = -1;         // where the current key or value began
+    let key = null;
+    let complete = false;
+
+    const emit = (end) => {
+        try {
+            onMember(key, JSON.parse(text.slice(start, end)));
+        } catch {
+            // Malformed value: skip the member
+        }
+        expect = 'comma';
+    };
+
+    const close = () => {
+        depth = 0;
+        complete = true;
+    };
+
+    const push = (chunk) => {
+        text += chunk;
+        for (; pos < text.length && !complete; pos++) {
+            const ch = text[pos];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') {
+                    inString = false;
+                    if (depth > 1) continue;
+                    if (expect === 'key') {
+                        key = JSON.parse(text.slice(start, pos + 1));
+                        expect = 'colon';
+                    } else {
+                        emit(pos + 1);
+                    }
+                }
+                continue;
+            }
+
+            if (depth === 0) {
+                if (ch === '{') {
+                    depth = 1;
+                    expect = 'key';
+                }
+                continue;
+            }
+
+            // Inside a member's object or array value
+            if (depth > 1) {
+                if (ch === '"') inString = true;
+                else if (ch === '{' || ch === '[') depth++;
+                else if (ch === '}' || ch === ']') {
+                    depth--;
+                    if (depth === 1) emit(pos + 1);
+                }
+                continue;
+            }
+
+            // A number, true, false or null ends at the next separator
+            if (expect === 'primitive') {
+                if (ch !== ',' && ch !== '}' && !/\s/.test(ch)) continue;
+                emit(pos);
+            }
+            if (/\s/.test(ch)) continue;
+
+            if (expect === 'key') {
+                if (ch === '"') {
+                    inString = true;
+                    start = pos;
+                } else if (ch === '}') {
+                    close();
+                }
+            } else if (expect === 'colon') {
+                if (ch === ':') expect = 'value';
+            } else if (expect === 'value') {
+                start = pos;
+                if (ch === '"') inString = true;
+                else if (ch === '{' || ch === '[') depth++;
+                else expect = 'primitive';
+            } else if (expect === 'comma') {
+                if (ch === ',') expect = 'key';
+                else if (ch === '}') close();
+            }
+        }
+    };
+
+    // `complete` is true once the closing brace of the object has arrived
+    return { push, isComplete: () => complete };
+};
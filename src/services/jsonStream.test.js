@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { createObjectStream } from './jsonStream';
+
+// Pushes `text` in pieces of `size` characters and collects the members
+const parse = (text, size) => {
+    const members = [];
+    const stream = createObjectStream((key, value) => members.push([key, value]));
+    for (let i = 0; i < text.length; i += size) stream.push(text.slice(i, i + size));
+    return { members, complete: stream.isComplete() };
+};
+
+const REPLY = '```json\n{\n'
+    + '  "0": {"formula": "Rent * 12", "note": "a {brace} and a \\"quote\\""},\n'
+    + '  "3": {"path": "C:\\\\temp\\\\", "items": [1, [2, {"x": "]"}], 3]},\n'
+    + '  "5": "just text, with } and ,",\n'
+    + '  "7": 42,\n'
+    + '  "8": -1.5e3 ,\n'
+    + '  "9": true,\n'
+    + '  "10": null,\n'
+    + '  "11": false\n'
+    + '}\n```';
+
+const EXPECTED = [
+    ['0', { formula: 'Rent * 12', note: 'a {brace} and a "quote"' }],
+    ['3', { path: 'C:\\temp\\', items: [1, [2, { x: ']' }], 3] }],
+    ['5', 'just text, with } and ,'],
+    ['7', 42],
+    ['8', -1500],
+    ['9', true],
+    ['10', null],
+    ['11', false],
+];
+
+describe('createObjectStream', () => {
+    it.each([1, 2, 3, 7, 16, REPLY.length])('reads every member when pushed %s characters at a time', (size) => {
+        expect(parse(REPLY, size)).toEqual({ members: EXPECTED, complete: true });
+    });
+
+    it('reports each member as soon as its value is complete', () => {
+        const members = [];
+        const stream = createObjectStream((key) => members.push(key));
+        stream.push('{"0": {"a": 1}, "1": {"b"');
+        expect(members).toEqual(['0']);
+        stream.push(': 2}, "2": 12');
+        expect(members).toEqual(['0', '1']);
+        stream.push('3}');
+        expect(members).toEqual(['0', '1', '2']);
+    });
+
+    it('is not complete until the closing brace arrives', () => {
+        const text = '{"0": {"formula": "x"}, "1": {"formula": "y"';
+        const { members, complete } = parse(text, 1);
+        expect(members).toEqual([['0', { formula: 'x' }]]);
+        expect(complete).toBe(false);
+        expect(parse('{"0": 5', 1)).toEqual({ members: [], complete: false });
+        expect(parse('', 1)).toEqual({ members: [], complete: false });
+    });
+
+    it('skips a member whose value does not parse', () => {
+        expect(parse('{"0": tru, "1": {"a": 1}}', 1)).toEqual({ members: [['1', { a: 1 }]], complete: true });
+    });
+
+    it('ignores anything after the closing brace', () => {
+        expect(parse('{"0": 1} {"1": 2}', 4)).toEqual({ members: [['0', 1]], complete: true });
+    });
+});
@@ -0,0 +1,56 @@
+import { aiCanFill, evaluateDocument, isCommentLine, isHeaderLine, nameKey, resolvePhrases } from '../engine';
+
+// Remembers what the AI said about each line, so a pause in typing only sends
+// the lines that changed. An entry is keyed on the line's text and its
+// context: the line before it ("split evenly" refers back to it; by name when
+// it defines one) and the names defined in the document (formulas are written
+// with them). Values are not part of the key: the AI returns formulas, which
+// are evaluated locally.
+// Formulas with an absolute line reference ("L{3}") would go stale when lines
+// move, so they are not kept. Lines the phrase rules resolve (see phrases.js)
+// are never sent.
+
+const MAX_ENTRIES = 500;
+const ABSOLUTE_REF_RE = /L\{\d+\}/;
+
+export const createLineCache = () => {
+    const entries = new Map();
+
+    // Which lines of `text` need the AI: `logic` holds the cached answers by
+    // line index, `pending` the indices to ask about and `keys` the cache key
+    // of every line the AI answers (pass them to `store`).
+    const plan = (text, { rates } = {}) => {
+        const lines = text.split('\n');
+        const local = evaluateDocument(text, { rates });
+        const names = [...new Set(Object.values(local).map(res => res?.name).filter(Boolean).map(nameKey))].sort();
+        const rules = resolvePhrases(text, local);
+
+        const logic = {};
+        const pending = [];
+        const keys = {};
+        let previous = '';
+        lines.forEach((line, idx) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            const context = previous;
+            previous = local[idx]?.name ? nameKey(local[idx].name) : trimmed;
+            if (isHeaderLine(line) || isCommentLine(line) || !aiCanFill(local[idx]) || rules[idx]) return;
+
+            const key = JSON.stringify([trimmed, context, names]);
+            keys[idx] = key;
+            if (entries.has(key)) logic[idx] = entries.get(key);
+            else pending.push(idx);
+        });
+        return { logic, pending, keys };
+    };
+
+    const store = (key, item) => {
+        if (!key || !item || ABSOLUTE_REF_RE.test(item.formula || '')) return;
+        entries.delete(key);
+        entries.set(key, item);
+        // Drop the oldest entries
+        while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    };
+
+    return { plan, store };
+};
@@ -1,36 +1,106 @@
-export const checkServerStatus = async () => {
+import { providerOf } from './providers';
+import { loadWorkspace } from './workspace';
+
+// Connection settings for the LLM server. `provider` picks the backend (see
+// providers.js): llama-server or any OpenAI-compatible endpoint, or Ollama's
+// native API. They are edited on the settings screen and stored with the
+// workspace under `llm`. An empty base URL sends requests to the page's own
+// origin, which the Vite dev server proxies to LLM_PROXY_TARGET (see
+// vite.config.js).
+export const DEFAULT_LLM_SETTINGS = {
+    provider: 'openai',
+    baseUrl: 'http://localhost:8080',
+    model: 'gpt-3.5-turbo',
+    temperature: 0.1,
+    maxTokens: null,        // null: the server's default
+    debounceMs: 800,        // pause after typing before the document is sent
+    apiKey: '',             // sent as "Authorization: Bearer <key>" when set
+};
+
+export const loadLlmSettings = () => ({ ...DEFAULT_LLM_SETTINGS, ...loadWorkspace().llm });
+
+const endpoint = (settings, path) => `${settings.baseUrl.trim().replace(/\/+$/, '')}${path}`;
+
+const requestHeaders = (settings) => ({
+    'Content-Type': 'application/json',
+    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+});
+
+export const chatUrl = (settings) => endpoint(settings, providerOf(settings).chatPath);
+
+// State of the server from its health endpoint: 'ready', 'loading'
+// (llama-server answers 503 while it loads the model), 'error' or 'offline'
+// (no answer at all)
+export const checkServerStatus = async (settings = loadLlmSettings(), { signal } = {}) => {
     try {
-        const response = await fetch('http://localhost:8080/health');
-        return response.ok;
-    } catch (e) {
-        return false;
+        const response = await fetch(endpoint(settings, providerOf(settings).healthPath), { headers: requestHeaders(settings), signal });
+        if (response.ok) return 'ready';
+        return response.status === 503 ? 'loading' : 'error';
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        return 'offline';
+    }
+};
+
+// Names of the models the server offers
+export const listModels = async (settings = loadLlmSettings()) => {
+    const provider = providerOf(settings);
+    const response = await fetch(endpoint(settings, provider.modelsPath), { headers: requestHeaders(settings) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return provider.models(await response.json());
+};
+
+// Sends a chat and resolves with the reply text. With `stream`, `onDelta` is
+// called with each piece of text as it arrives; `json` asks the server for a
+// JSON reply, or for one matching `json` when it is a JSON schema. Aborting
+// `signal` cancels the request (it rejects with an AbortError). An HTTP error
+// rejects with an Error carrying the `status`.
+export const chat = async (messages, settings = loadLlmSettings(), { stream = false, json = false, onDelta, signal } = {}) => {
+    const provider = providerOf(settings);
+    const response = await fetch(chatUrl(settings), {
+        method: 'POST',
+        headers: requestHeaders(settings),
+        body: JSON.stringify(provider.body(settings, messages, { stream, json })),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errText = await response.text();
+        const error = new Error(`HTTP ${response.status}: ${errText}`);
+        error.status = response.status;
+        throw error;
     }
+
+    if (!stream) return provider.content(await response.json());
+
+    let content = '';
+    await provider.readStream(response, (delta) => {
+        content += delta;
+        onDelta?.(delta, content);
+    });
+    return content;
 };
 
-export const runMathAnalysis = async (content) => {
+// Results of every line as text: '{ "results": ["15", "", "8"] }'
+export const runMathAnalysis = async (content, settings = loadLlmSettings()) => {
+    const lineCount = content.split('\n').length;
     try {
-        const response = await fetch('http://localhost:8080/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
+        return await chat([
+            {
+                role: "system",
+                content: "You are a smart calculator assistant. Your task is to analyze the user's math notes line-by-line. For each line that contains a math expression or question, provide the calculated result or answer. If a line is just text/comment, output an empty string. Return your response as a JSON object whose \"results\" array has one string per line of the input. Example: Input:\n10 + 5\nHello\n2 * 4\nOutput: {\"results\": [\"15\", \"\", \"8\"]}"
             },
-            body: JSON.stringify({
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a smart calculator assistant. Your task is to analyze the user's math notes line-by-line. For each line that contains a math expression or question, provide the calculated result or answer. If a line is just text/comment, output null or empty string. Return your response as a JSON array of strings, matching the number of lines in the input. Example: Input:\n10 + 5\nHello\n2 * 4\nOutput: [\"15\", \"\", \"8\"]"
-                    },
-                    { role: "user", content: content }
-                ],
-                temperature: 0.1,
-                response_format: { type: "json_object" } // Qwen/Llama might support json mode
-            }),
+            { role: "user", content: content }
+        ], settings, {
+            json: {
+                type: 'object',
+                properties: {
+                    results: { type: 'array', items: { type: 'string' }, minItems: lineCount, maxItems: lineCount },
+                },
+                required: ['results'],
+                additionalProperties: false,
+            }
         });
-
-        if (!response.ok) throw new Error('Network response was not ok');
-
-        const data = await response.json();
-        return data.choices[0].message.content;
     } catch (error) {
         console.error('Error calling Llama:', error);
         throw error;
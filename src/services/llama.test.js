@@ -0,0 +1,150 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { chat, checkServerStatus, listModels } from './llama';
+
+// A local stand-in for the LLM server. Each test sets `handle` to answer the
+// next requests; `requests` records what the client sent.
+let server;
+let baseUrl;
+let handle;
+let requests;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Writes the body in the given pieces, pausing between them so they arrive
+// as separate network chunks
+const writeChunks = async (res, status, type, chunks) => {
+    res.writeHead(status, { 'Content-Type': type });
+    for (const chunk of chunks) {
+        res.write(chunk);
+        await wait(10);
+    }
+    res.end();
+};
+
+const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+beforeAll(async () => {
+    server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+            handle(req, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    handle = (req, res) => json(res, 404, { error: 'not found' });
+});
+
+const settings = (provider, extra = {}) => ({
+    provider, baseUrl, model: 'test-model', temperature: 0.1, maxTokens: null, apiKey: '', ...extra,
+});
+
+const MESSAGES = [{ role: 'user', content: '2 + 2' }];
+
+describe('openai provider', () => {
+    it('sends a chat and reads the reply', async () => {
+        handle = (req, res) => json(res, 200, { choices: [{ message: { content: '4' } }] });
+        await expect(chat(MESSAGES, settings('openai', { apiKey: 'secret' }), { json: true })).resolves.toBe('4');
+        expect(requests[0]).toMatchObject({
+            method: 'POST',
+            url: '/v1/chat/completions',
+            headers: { authorization: 'Bearer secret' },
+            body: { model: 'test-model', messages: MESSAGES, stream: false, response_format: { type: 'json_object' } },
+        });
+    });
+
+    it('streams server-sent events, with a data line split across chunks', async () => {
+        const event = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+        const split = event('lo, ');
+        handle = (req, res) => writeChunks(res, 200, 'text/event-stream', [
+            ': keep-alive\n\n',
+            event('Hel'),
+            split.slice(0, 12),
+            split.slice(12),
+            event('world') + 'data: [DONE]\n\n',
+        ]);
+        const deltas = [];
+        const content = await chat(MESSAGES, settings('openai'), { stream: true, onDelta: (delta) => deltas.push(delta) });
+        expect(content).toBe('Hello, world');
+        expect(deltas).toEqual(['Hel', 'lo, ', 'world']);
+        expect(requests[0].body.stream).toBe(true);
+    });
+
+    it('rejects an error response with its status', async () => {
+        handle = (req, res) => json(res, 500, { error: 'model crashed' });
+        await expect(chat(MESSAGES, settings('openai'))).rejects.toMatchObject({ status: 500, message: expect.stringContaining('model crashed') });
+    });
+
+    it('lists models and reports health', async () => {
+        handle = (req, res) => (req.url === '/v1/models'
+            ? json(res, 200, { data: [{ id: 'a' }, { id: 'b' }] })
+            : json(res, 503, { error: 'loading model' }));
+        await expect(listModels(settings('openai'))).resolves.toEqual(['a', 'b']);
+        await expect(checkServerStatus(settings('openai'))).resolves.toBe('loading');
+        expect(requests[1].url).toBe('/health');
+    });
+});
+
+describe('ollama provider', () => {
+    it('sends a chat with the native request format', async () => {
+        handle = (req, res) => json(res, 200, { message: { role: 'assistant', content: '{"value":4}' }, done: true });
+        await expect(chat(MESSAGES, settings('ollama', { maxTokens: 64 }), { json: true })).resolves.toBe('{"value":4}');
+        expect(requests[0]).toMatchObject({
+            url: '/api/chat',
+            body: { model: 'test-model', stream: false, format: 'json', options: { temperature: 0.1, num_predict: 64 } },
+        });
+    });
+
+    it('streams newline-delimited JSON, with a line split across chunks', async () => {
+        const line = (content, done = false) => `${JSON.stringify({ message: { content }, done })}\n`;
+        const split = line(' + 2');
+        handle = (req, res) => writeChunks(res, 200, 'application/x-ndjson', [
+            line('2'),
+            split.slice(0, 9),
+            split.slice(9),
+            line(' = 4') + line('', true),
+        ]);
+        const content = await chat(MESSAGES, settings('ollama'), { stream: true });
+        expect(content).toBe('2 + 2 = 4');
+    });
+
+    it('rejects a malformed line in the stream', async () => {
+        handle = (req, res) => writeChunks(res, 200, 'application/x-ndjson', [
+            `${JSON.stringify({ message: { content: '4' }, done: false })}\n`,
+            '{"message": {"content": \n',
+            `${JSON.stringify({ message: { content: '!' }, done: true })}\n`,
+        ]);
+        const deltas = [];
+        await expect(chat(MESSAGES, settings('ollama'), { stream: true, onDelta: (delta) => deltas.push(delta) }))
+            .rejects.toThrow('Malformed message');
+        expect(deltas).toEqual(['4']);
+    });
+
+    it('rejects an error response with its status', async () => {
+        handle = (req, res) => json(res, 404, { error: "model 'test-model' not found" });
+        await expect(chat(MESSAGES, settings('ollama'), { stream: true })).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('lists models and reports health from the tags endpoint', async () => {
+        handle = (req, res) => json(res, 200, { models: [{ name: 'llama3:8b' }, { name: 'qwen2.5:7b' }] });
+        await expect(listModels(settings('ollama'))).resolves.toEqual(['llama3:8b', 'qwen2.5:7b']);
+        await expect(checkServerStatus(settings('ollama'))).resolves.toBe('ready');
+        expect(requests.map(r => r.url)).toEqual(['/api/tags', '/api/tags']);
+    });
+
+    it('reports a server that does not answer as offline', async () => {
+        await expect(checkServerStatus(settings('ollama', { baseUrl: 'http://127.0.0.1:1' }))).resolves.toBe('offline');
+    });
+});
@@ -0,0 +1,96 @@
+import { DEFAULT_RATES, evaluateDocument, formatUnit, isDateValue, isHeaderLine, mergeAiLogic, resolvePhrases } from '../engine';
+
+// What the model is told about a document. It gets the lines to answer and
+// what the local engine already knows: the value of every computed line, the
+// names defined so far (with format, unit and tags) and the sections the
+// headers divide the document into. Values come from the engine's own results
+// (local, phrase rules and cached AI answers), so "Fees = (Ads + Spend) * Rate"
+// is sent as the amount it evaluates to, not as whatever number the text
+// happens to start with.
+
+const SYSTEM_PROMPT = `You are a Logic Extraction Engine for a smart calculator.
+
+INPUT FORMAT:
+{
+  "lines": { "lineIndex": "text content" },
+  "computed": { "lineIndex": { "text": string, "result": string, "name"?: string } },
+  "symbols": { "Name": { "line": lineIndex, "value"?: number, "result": string, "format": string, "unit"?: string, "currency"?: string, "tags"?: [string] } },
+  "sections": [ { "title": string, "from": lineIndex, "to": lineIndex } ]
+}
+"lines" are the lines to answer; every other line is already computed and must not be answered.
+
+OUTPUT FORMAT:
+{ "lineIndex": { "formula": string, "type": string, "format": string, "explanation": string } }
+
+RULES:
+1. **Use Symbol Names**: If a symbol exists, use its name in formulas (e.g., "Rent + Utilities") instead of line refs or its value.
+2. **Line References**: Use L{n} for computed lines without a name, or L{prev} for the previous line.
+3. **Sections**: "total", "what's left" and similar refer to the lines of the line's own section.
+4. **Implicit Values**: "Tax is 5%" → formula "0.05".
+5. **Natural Language Math**:
+   - "Split evenly" or "per person" → divide by number of people (default 2 if not specified)
+   - "What's left" or "remaining" → subtract from total
+   - "Double" → multiply by 2
+   - "Half" → divide by 2
+6. **Types**: "variable", "formula", "total", "header", "note"
+7. **Formats**: "number", "currency", "percent", "date", "datetime", "time"
+8. **Explanations**: Concise labels describing what the line calculates.
+
+IMPORTANT:
+- Natural language like "Split evenly per person" MUST produce a formula (e.g., "L{prev} / 2"), NOT a note.
+- Only mark as "note" if line is pure comment with no calculation intent.
+- The "formula" field MUST contain the actual calculation expression, NOT just the variable name.
+- For example: "Fees = (Social Ads + Influencer Spend) * Platform Fee Rate" should have formula: "(Social Ads + Influencer Spend) * Platform Fee Rate"
+- Return ONLY valid JSON. Use symbol names when available.`;
+
+const headerTitle = (line) => line.trim().replace(/^#+\s*/, '');
+
+// The model's input for answering `lineIndices` of `text`. `logic` holds the
+// AI answers already known for the other lines (see lineCache.js).
+export const logicContext = (text, lineIndices, { logic = {}, rates = DEFAULT_RATES } = {}) => {
+    const lines = text.split('\n');
+    const asked = new Set(lineIndices.map(Number));
+    const local = evaluateDocument(text, { rates });
+    const known = Object.fromEntries(Object.entries(logic).filter(([idx]) => !asked.has(Number(idx))));
+    const results = mergeAiLogic(text, local, { ...known, ...resolvePhrases(text, local) }, { rates });
+
+    const context = { lines: {}, computed: {}, symbols: {}, sections: [] };
+    lines.forEach((line, idx) => {
+        if (isHeaderLine(line)) {
+            const last = context.sections.at(-1);
+            if (last) last.to = idx - 1;
+            context.sections.push({ title: headerTitle(line), from: idx, to: lines.length - 1 });
+            return;
+        }
+        if (asked.has(idx)) {
+            context.lines[idx] = line;
+            return;
+        }
+        const res = results[idx];
+        if (!res || res.type === 'error' || res.value === null || res.value === undefined) return;
+
+        const name = res.name || (res.source !== 'local' && known[idx]?.formula?.match(/^([^=]+)=/)?.[1].trim());
+        context.computed[idx] = { text: line.trim(), result: res.formatted, ...(name ? { name } : {}) };
+        // A later definition of the same name replaces an earlier one
+        if (name) {
+            const unit = formatUnit(res.unit);
+            context.symbols[name] = {
+                line: idx,
+                // Dates are only meaningful as text
+                ...(isDateValue(res) ? {} : { value: res.value }),
+                result: res.formatted,
+                format: res.format || 'number',
+                ...(unit ? { unit } : {}),
+                ...(res.currency ? { currency: res.currency } : {}),
+                ...(res.tags?.length ? { tags: res.tags } : {}),
+            };
+        }
+    });
+    return context;
+};
+
+// The chat messages asking for the logic of the lines in `context`
+export const logicMessages = (context) => [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: JSON.stringify(context) },
+];
@@ -0,0 +1,126 @@
+// LLM backends. A provider knows its server's endpoints and wire format;
+// callers only deal in chat messages and the reply text (see llama.js).
+//
+//   openai  llama-server or any OpenAI-compatible server:
+//           /v1/chat/completions (SSE streaming), /v1/models, /health
+//   ollama  Ollama's native API: /api/chat (NDJSON streaming), /api/tags
+
+// Reads a streamed body and calls `onLine` with every complete line (blank
+// ones included, without the line ending). A line split across two network
+// chunks is held back until its end arrives. When `onLine` throws, the rest
+// of the body is cancelled.
+const readLines = async (response, onLine) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) onLine(line.endsWith('\r') ? line.slice(0, -1) : line);
+            if (done) break;
+        }
+    } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+    }
+};
+
+// One JSON message of a stream; anything else means the reply is broken
+const parseMessage = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error(`Malformed message in the server's reply: ${text.slice(0, 80)}`);
+    }
+};
+
+// Server-sent events: "data:" lines, joined with newlines, make up one event,
+// which a blank line ends. Comments (":") and other fields are ignored.
+const readEvents = async (response, onEvent) => {
+    let data = null;
+    const dispatch = () => {
+        if (data !== null) onEvent(data);
+        data = null;
+    };
+    await readLines(response, (line) => {
+        if (!line) return dispatch();
+        if (!line.startsWith('data:')) return;
+        const value = line.slice(line.startsWith('data: ') ? 6 : 5);
+        data = data === null ? value : `${data}\n${value}`;
+    });
+    dispatch();
+};
+
+// `json` is true for any JSON object or a JSON schema the reply must match
+const jsonFormat = (json) => (json === true
+    ? { type: 'json_object' }
+    : { type: 'json_schema', json_schema: { name: 'reply', schema: json, strict: true } });
+
+const openai = {
+    label: 'OpenAI-compatible (llama.cpp)',
+    defaultBaseUrl: 'http://localhost:8080',
+    chatPath: '/v1/chat/completions',
+    healthPath: '/health',
+    modelsPath: '/v1/models',
+
+    body: (settings, messages, { stream, json }) => ({
+        model: settings.model,
+        messages,
+        temperature: settings.temperature,
+        ...(settings.maxTokens ? { max_tokens: settings.maxTokens } : {}),
+        ...(json ? { response_format: jsonFormat(json) } : {}),
+        stream,
+    }),
+
+    content: (data) => data.choices?.[0]?.message?.content ?? '',
+
+    // One event per chunk ({ choices: [{ delta: { content } }] }), then "[DONE]"
+    readStream: (response, onDelta) => readEvents(response, (data) => {
+        if (data === '[DONE]') return;
+        const parsed = parseMessage(data);
+        if (parsed.error) throw new Error(parsed.error.message || String(parsed.error));
+        const delta = parsed.choices?.[0]?.delta?.content;
+        if (delta) onDelta(delta);
+    }),
+
+    models: (data) => (data.data || []).map(m => m.id),
+};
+
+const ollama = {
+    label: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434',
+    chatPath: '/api/chat',
+    healthPath: '/api/tags',
+    modelsPath: '/api/tags',
+
+    body: (settings, messages, { stream, json }) => ({
+        model: settings.model,
+        messages,
+        stream,
+        ...(json ? { format: json === true ? 'json' : json } : {}),
+        options: {
+            temperature: settings.temperature,
+            ...(settings.maxTokens ? { num_predict: settings.maxTokens } : {}),
+        },
+    }),
+
+    content: (data) => data.message?.content ?? '',
+
+    // Newline-delimited JSON: one { message: { content }, done } per line
+    readStream: (response, onDelta) => readLines(response, (line) => {
+        if (!line.trim()) return;
+        const data = parseMessage(line);
+        if (data.error) throw new Error(data.error);
+        const delta = data.message?.content;
+        if (delta) onDelta(delta);
+    }),
+
+    models: (data) => (data.models || []).map(m => m.name),
+};
+
+export const PROVIDERS = { openai, ollama };
+
+export const providerOf = (settings) => PROVIDERS[settings.provider] || openai;
@@ -0,0 +1,29 @@
+// Workspace state that survives a reload (exchange rates, ...). Everything
+// lives in one JSON object in localStorage so it travels together.
+const STORAGE_KEY = 'smartmathpad.workspace';
+
+export const loadWorkspace = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+export const saveWorkspace = (patch) => {
+    const next = { ...loadWorkspace(), ...patch };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (err) {
+        console.warn('Could not save workspace', err);
+    }
+    return next;
+};
+
+// The named versions of document `docId` (see history.js)
+export const loadVersions = (docId) => loadWorkspace().versions?.[docId] || [];
+
+export const storeVersions = (docId, snapshots) => {
+    const { versions = {} } = loadWorkspace();
+    saveWorkspace({ versions: { ...versions, [docId]: snapshots } });
+};
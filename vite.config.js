@@ -1,27 +1,43 @@
-import { defineConfig } from 'vite'
+import process from 'node:process'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/v1': {
-        target: 'http://localhost:8080',
-        changeOrigin: true,
+export default defineConfig(({ mode }) => {
+  // Where the dev server forwards LLM requests when the app's base URL is
+  // left empty (see src/services/llama.js). Set LLM_PROXY_TARGET in .env.local.
+  const llmTarget = loadEnv(mode, process.cwd(), '').LLM_PROXY_TARGET || 'http://localhost:8080'
+
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        '/v1': {
+          target: llmTarget,
+          changeOrigin: true,
+        },
+        '/health': {
+          target: llmTarget,
+          changeOrigin: true,
+        },
+        // Ollama's native API
+        '/api': {
+          target: llmTarget,
+          changeOrigin: true,
+        },
       },
+      watch: {
+        ignored: ['**/llama.cpp/**', '**/models/**', '**/.git/**']
+      }
     },
-    watch: {
-      ignored: ['**/llama.cpp/**', '**/models/**', '**/.git/**']
-    }
-  },
-  optimizeDeps: {
-    entries: ['index.html', 'src/**/*.{js,jsx,ts,tsx}'],
-    exclude: ['llama.cpp']
-  },
-  build: {
-    rollupOptions: {
-      external: ['llama.cpp']
+    optimizeDeps: {
+      entries: ['index.html', 'src/**/*.{js,jsx,ts,tsx}'],
+      exclude: ['llama.cpp']
+    },
+    build: {
+      rollupOptions: {
+        external: ['llama.cpp']
+      }
     }
   }
 })